@@ -0,0 +1,490 @@
+/**
+ * Timeline Test Environment
+ * Loads the plain-script timeline files into one VM context (as index.html does) with a
+ * mock Web Audio graph and a manual clock
+ * 
+ * CORE FUNCTIONALITY:
+ * • AudioContext.currentTime, performance.now() and setTimeout only move through advance()
+ * • document.hidden = true throttles page timers to 1s, like a background tab
+ * • Worker runs Blob URL sources (the ticker's worker clock) on timers that are never throttled
+ * • MockAudioParam keeps its automation events and enforces the Web Audio overlap rule
+ *   (NotSupportedError for an event inside a setValueCurveAtTime span)
+ * • Mock nodes expose a getter-only `context`, like AudioNode
+ * 
+ * USAGE:
+ * ```javascript
+ * const env = createTimelineEnv({ scripts: ['iso_synth.js'] });
+ * const timeline = env.run(`new JMTimeline(ctx, segments, { ticker: 'timeout', documentEvents: false })`, { segments });
+ * timeline.start();
+ * env.advance(2);
+ * ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SYNTHS_DIR = path.join(__dirname, '..', '..', 'widgets', 'synths');
+
+// Page timer floor in a hidden tab
+const HIDDEN_TIMER_MS = 1000;
+
+// index.html load order
+const TRANSPORT_SCRIPTS = [
+  'shared/transport/timeline_main.js',
+  'shared/transport/timeline_transport.js',
+  'shared/transport/timeline_emitter.js',
+  'shared/transport/timeline_validator.js',
+  'shared/transport/timeline_bands.js',
+  'shared/transport/timeline_ticker.js',
+  'shared/transport/timeline_jm.js',
+  'shared/transport/timeline_coordinator.js',
+  'shared/transport/timeline_listeners.js'
+];
+
+function notSupported(message) {
+  const error = new Error(message);
+  error.name = 'NotSupportedError';
+  return error;
+}
+
+/**
+ * AudioParam with an inspectable automation event list
+ */
+class MockAudioParam {
+  constructor(value = 0) {
+    this.defaultValue = value;
+    this.value = value;
+    this.events = [];
+  }
+  
+  setValueAtTime(value, time) {
+    return this._insert({ type: 'set', value, time });
+  }
+  
+  linearRampToValueAtTime(value, time) {
+    return this._insert({ type: 'linear', value, time });
+  }
+  
+  exponentialRampToValueAtTime(value, time) {
+    return this._insert({ type: 'exponential', value, time });
+  }
+  
+  setTargetAtTime(value, time, timeConstant) {
+    return this._insert({ type: 'target', value, time, timeConstant });
+  }
+  
+  setValueCurveAtTime(values, time, duration) {
+    return this._insert({ type: 'curve', values: Array.from(values), time, duration, span: duration });
+  }
+  
+  cancelScheduledValues(time) {
+    this.events = this.events.filter(event => event.time < time);
+    return this;
+  }
+  
+  cancelAndHoldAtTime(time) {
+    const value = this.getValueAtTime(time);
+    this.events = this.events.filter(event => event.time < time);
+    for (const event of this.events) {
+      if (event.type === 'curve' && time < event.time + event.duration) event.duration = time - event.time;
+    }
+    this.events.push({ type: 'set', value, time });
+    return this;
+  }
+  
+  /**
+   * Value the automation gives at an audio time (set, ramps and curves)
+   */
+  getValueAtTime(time) {
+    let value = this.defaultValue;
+    let previousTime = 0;
+    
+    for (const event of this.events) {
+      if (event.type === 'linear' || event.type === 'exponential') {
+        if (event.time <= time) {
+          value = event.value;
+          previousTime = event.time;
+          continue;
+        }
+        const progress = (time - previousTime) / (event.time - previousTime);
+        return event.type === 'linear'
+          ? value + (event.value - value) * progress
+          : value * Math.pow(event.value / value, progress);
+      }
+      if (event.time > time) break;
+      
+      if (event.type === 'curve') {
+        const end = event.time + event.duration;
+        value = MockAudioParam.curveValue(event, Math.min(time, end));
+        previousTime = Math.min(time, end);
+      } else {
+        value = event.value;
+        previousTime = event.time;
+      }
+    }
+    return value;
+  }
+  
+  /**
+   * setValueCurveAtTime interpolation (linear between points over the original span)
+   */
+  static curveValue({ values, time: start, span }, time) {
+    const position = Math.max(0, Math.min(1, (time - start) / span)) * (values.length - 1);
+    const index = Math.min(Math.floor(position), values.length - 2);
+    return values[index] + (values[index + 1] - values[index]) * (position - index);
+  }
+  
+  /**
+   * Chromium's overlap rule: nothing may land inside [start, end) of a curve, and a new curve
+   * may not span an event after its start (an event at exactly its start is fine)
+   */
+  _insert(event) {
+    const duration = event.duration || 0;
+    for (const existing of this.events) {
+      if (existing.type === 'curve' && event.time >= existing.time && event.time < existing.time + existing.duration) {
+        throw notSupported(`${event.type} at ${event.time} overlaps a value curve at ${existing.time}`);
+      }
+      if (duration > 0 && existing.time > event.time && existing.time < event.time + duration) {
+        throw notSupported(`value curve at ${event.time} overlaps ${existing.type} at ${existing.time}`);
+      }
+    }
+    
+    // Stable insert - events at the same time keep the order they were added
+    const index = this.events.findIndex(existing => existing.time > event.time);
+    this.events.splice(index === -1 ? this.events.length : index, 0, event);
+    return this;
+  }
+}
+
+/**
+ * AudioNode - `context` is a getter, as in the browser
+ */
+class MockAudioNode {
+  #context;
+  
+  constructor(context) {
+    this.#context = context;
+    this.connections = new Set();
+    this._listeners = {};
+  }
+  
+  get context() {
+    return this.#context;
+  }
+  
+  connect(destination) {
+    this.connections.add(destination);
+    return destination;
+  }
+  
+  disconnect(destination) {
+    if (destination) this.connections.delete(destination);
+    else this.connections.clear();
+  }
+  
+  addEventListener(type, handler) {
+    (this._listeners[type] = this._listeners[type] || []).push(handler);
+  }
+  
+  removeEventListener(type, handler) {
+    this._listeners[type] = (this._listeners[type] || []).filter(entry => entry !== handler);
+  }
+  
+  dispatchEvent(event) {
+    if (!event.target) event.target = this;
+    (this._listeners[event.type] || []).slice().forEach(handler => handler(event));
+    return true;
+  }
+}
+
+class MockScheduledSourceNode extends MockAudioNode {
+  constructor(context) {
+    super(context);
+    this.startTime = null;
+    this.stopTime = null;
+  }
+  
+  start(time = 0) {
+    this.startTime = time;
+  }
+  
+  stop(time = 0) {
+    this.stopTime = time;
+  }
+}
+
+/**
+ * AudioWorkletNode - records port messages; receive() plays a message from the processor
+ */
+class MockAudioWorkletNode extends MockAudioNode {
+  constructor(context, name, options = {}) {
+    super(context);
+    if (!context.audioWorklet.modules.length) {
+      throw new Error(`AudioWorkletNode: '${name}' is not registered`);
+    }
+    this.name = name;
+    this.options = options;
+    this.messages = [];
+    this.port = {
+      onmessage: null,
+      closed: false,
+      postMessage: (message) => this.messages.push(message),
+      close() { this.closed = true; }
+    };
+  }
+  
+  receive(data) {
+    if (this.port.onmessage) this.port.onmessage({ data });
+  }
+}
+
+class MockAudioContext {
+  /**
+   * @param {Object} clock - { ms } shared with performance.now()
+   * @param {Object} options - { cancelAndHoldAtTime: false } leaves it off every AudioParam (Firefox)
+   */
+  constructor(clock, { cancelAndHoldAtTime = true } = {}) {
+    this._clock = clock;
+    this._cancelAndHoldAtTime = cancelAndHoldAtTime;
+    this.sampleRate = 48000;
+    this.baseLatency = 0;
+    this.outputLatency = 0;
+    this.state = 'running';
+    this.destination = new MockAudioNode(this);
+    this.created = [];
+    this.audioWorklet = {
+      modules: [],
+      addModule: async (url) => { this.audioWorklet.modules.push(url); }
+    };
+  }
+  
+  get currentTime() {
+    return this._clock.ms / 1000;
+  }
+  
+  createConstantSource() {
+    const node = this._track(new MockScheduledSourceNode(this));
+    node.offset = this._param(1);
+    return node;
+  }
+  
+  createGain() {
+    const node = this._track(new MockAudioNode(this));
+    node.gain = this._param(1);
+    return node;
+  }
+  
+  createStereoPanner() {
+    const node = this._track(new MockAudioNode(this));
+    node.pan = this._param(0);
+    return node;
+  }
+  
+  createOscillator() {
+    const node = this._track(new MockScheduledSourceNode(this));
+    node.type = 'sine';
+    node.frequency = this._param(440);
+    return node;
+  }
+  
+  _param(value) {
+    const param = new MockAudioParam(value);
+    if (!this._cancelAndHoldAtTime) param.cancelAndHoldAtTime = undefined;
+    return param;
+  }
+  
+  _track(node) {
+    this.created.push(node);
+    return node;
+  }
+}
+
+/**
+ * Load the transport (plus optional synth scripts) into a fresh context
+ * @param {Object} options
+ * @param {Array} options.scripts - Extra scripts after the transport, relative to widgets/synths
+ * @param {Object} options.globals - Extra globals (e.g. AudioWorkletNode)
+ * @param {boolean} options.cancelAndHoldAtTime - AudioParams support it (default: true)
+ * @returns {Object} { run, advance, audioContext, clock, document, logs, timers }
+ */
+function createTimelineEnv({ scripts = [], globals = {}, cancelAndHoldAtTime = true } = {}) {
+  const clock = { ms: 0 };
+  const timers = new Map();
+  let nextTimerId = 1;
+  const logs = { log: [], warn: [], error: [] };
+  const documentListeners = {};
+  
+  const document = {
+    hidden: false,
+    addEventListener(type, handler) {
+      (documentListeners[type] = documentListeners[type] || []).push(handler);
+    },
+    removeEventListener(type, handler) {
+      documentListeners[type] = (documentListeners[type] || []).filter(entry => entry !== handler);
+    },
+    dispatchEvent(event) {
+      (documentListeners[event.type] || []).slice().forEach(handler => handler(event));
+      return true;
+    },
+    listenerCount(type) {
+      return (documentListeners[type] || []).length;
+    }
+  };
+  
+  class CustomEvent {
+    constructor(type, init = {}) {
+      this.type = type;
+      this.detail = init.detail;
+    }
+  }
+  
+  function addTimer(fn, delay, args = []) {
+    const id = nextTimerId++;
+    timers.set(id, { fn, args, due: clock.ms + delay });
+    return id;
+  }
+  
+  // Blob URLs - Worker loads its source from these
+  const blobs = new Map();
+  
+  class Blob {
+    constructor(parts, options = {}) {
+      this.text = parts.join('');
+      this.type = options.type || '';
+    }
+  }
+  
+  class BlobURL extends URL {
+    static createObjectURL(blob) {
+      const url = `blob:timeline-env/${nextTimerId++}`;
+      blobs.set(url, blob);
+      return url;
+    }
+    
+    static revokeObjectURL(url) {
+      blobs.delete(url);
+    }
+  }
+  
+  /**
+   * Dedicated worker - its own scope, messages delivered at once, timers kept in a hidden tab
+   */
+  class Worker {
+    constructor(url) {
+      const blob = blobs.get(url);
+      if (!blob) throw new Error(`Worker: cannot load ${url}`);
+      
+      this.onmessage = null;
+      this.onerror = null;
+      this._timerIds = new Set();
+      this._terminated = false;
+      
+      const scope = {
+        postMessage: (data) => {
+          if (!this._terminated && this.onmessage) this.onmessage({ data });
+        },
+        setTimeout: (fn, delay = 0, ...args) => {
+          const id = addTimer((...timerArgs) => {
+            this._timerIds.delete(id);
+            fn(...timerArgs);
+          }, delay, args);
+          this._timerIds.add(id);
+          return id;
+        },
+        clearTimeout: (id) => timers.delete(id)
+      };
+      scope.self = scope;
+      this._scope = vm.createContext(scope);
+      vm.runInContext(blob.text, this._scope, { filename: url });
+    }
+    
+    postMessage(data) {
+      if (!this._terminated && this._scope.onmessage) this._scope.onmessage({ data });
+    }
+    
+    terminate() {
+      this._terminated = true;
+      this._timerIds.forEach(id => timers.delete(id));
+      this._timerIds.clear();
+    }
+  }
+  
+  const sandbox = {
+    console: {
+      log: (...args) => logs.log.push(args.join(' ')),
+      warn: (...args) => logs.warn.push(args.join(' ')),
+      error: (...args) => logs.error.push(args.join(' '))
+    },
+    document,
+    CustomEvent,
+    performance: { now: () => clock.ms },
+    setTimeout(fn, delay = 0, ...args) {
+      return addTimer(fn, document.hidden ? Math.max(HIDDEN_TIMER_MS, delay) : delay, args);
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    Blob,
+    URL: BlobURL,
+    Worker,
+    ...globals
+  };
+  sandbox.window = sandbox;
+  sandbox.globalThis = sandbox;
+  
+  const context = vm.createContext(sandbox);
+  for (const script of [...TRANSPORT_SCRIPTS, ...scripts]) {
+    const file = path.join(SYNTHS_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+  
+  const audioContext = new MockAudioContext(clock, { cancelAndHoldAtTime });
+  sandbox.ctx = audioContext;
+  
+  return {
+    audioContext,
+    clock,
+    document,
+    logs,
+    timers,
+    
+    /**
+     * Evaluate code in the scripts' scope (`ctx` is the mock AudioContext)
+     * @param {string} code
+     * @param {Object} vars - Globals to set first, e.g. { segments }
+     */
+    run(code, vars = {}) {
+      Object.assign(sandbox, vars);
+      return vm.runInContext(code, context);
+    },
+    
+    /**
+     * Move the clock forward, firing due timers in order
+     * @param {number} seconds
+     */
+    advance(seconds) {
+      const end = clock.ms + seconds * 1000;
+      for (;;) {
+        let next = null;
+        for (const [id, timer] of timers) {
+          if (timer.due <= end && (!next || timer.due < next.timer.due)) next = { id, timer };
+        }
+        if (!next) break;
+        
+        timers.delete(next.id);
+        clock.ms = Math.max(clock.ms, next.timer.due);
+        next.timer.fn(...next.timer.args);
+      }
+      clock.ms = end;
+    }
+  };
+}
+
+module.exports = {
+  createTimelineEnv,
+  MockAudioParam,
+  MockAudioNode,
+  MockAudioWorkletNode,
+  MockAudioContext
+};
\ No newline at end of file
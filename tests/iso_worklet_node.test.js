@@ -0,0 +1,87 @@
+/**
+ * ISOWorkletNode - module loading, port protocol and the AudioNode base
+ * Run: node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createTimelineEnv, MockAudioWorkletNode } = require('./helpers/timeline_env');
+
+/**
+ * Environment with ISOWorkletNode built on the mock AudioWorkletNode (getter-only `context`)
+ */
+function createWorkletEnv() {
+  return createTimelineEnv({
+    scripts: ['iso_worklet_node.js'],
+    globals: { AudioWorkletNode: MockAudioWorkletNode }
+  });
+}
+
+describe('ISOWorkletNode', () => {
+  it('constructs on an AudioNode with a getter-only context', async () => {
+    const env = createWorkletEnv();
+    const node = await env.run('ISOWorkletNode.create(ctx, { lowWaterSeconds: 2 })');
+    
+    assert.ok(node instanceof MockAudioWorkletNode);
+    assert.strictEqual(node.context, env.audioContext);
+    assert.strictEqual(node.name, 'iso-pulse-processor');
+    assert.strictEqual(node.options.processorOptions.lowWaterSeconds, 2);
+  });
+  
+  it('loads the processor module once per context', async () => {
+    const env = createWorkletEnv();
+    await Promise.all([env.run('ISOWorkletNode.create(ctx)'), env.run('ISOWorkletNode.create(ctx)')]);
+    
+    assert.strictEqual(env.audioContext.audioWorklet.modules.length, 1);
+  });
+  
+  it('resolves processor messages and re-dispatches them as events', async () => {
+    const env = createWorkletEnv();
+    const node = await env.run('ISOWorkletNode.create(ctx)');
+    const warnings = [];
+    node.addEventListener('noFreeVoice', (event) => warnings.push(event.detail.pulseId));
+    
+    node.receive({ type: 'initialized', voiceCount: 16 });
+    assert.deepStrictEqual({ ...await node.initialized }, { voiceCount: 16 });
+    
+    const received = node.scheduleReceived;
+    node.receive({ type: 'scheduleReceived', pulseCount: 4, firstPulseId: 0, done: false });
+    assert.strictEqual((await received).pulseCount, 4);
+    
+    node.receive({ type: 'noFreeVoice', pulseId: 7 });
+    assert.deepStrictEqual(warnings, [7]);
+  });
+  
+  it('posts windows and cancels at the context sample rate', async () => {
+    const env = createWorkletEnv();
+    const node = await env.run('ISOWorkletNode.create(ctx)');
+    
+    node.postWindow([
+      { time: 1, interval: 0.05, pulseIndex: 10, accent: 1, duty: 0.5 },
+      { time: 1.05, interval: 0.05, pulseIndex: 11, accent: 0.5, duty: 0.5 }
+    ], 110);
+    node.cancelFrom(2);
+    
+    const [window, cancel] = node.messages;
+    assert.strictEqual(window.type, 'window');
+    assert.deepStrictEqual(Array.from(window.samplePosition), [48000, 50400]);
+    assert.deepStrictEqual(Array.from(window.durationSamples), [1200, 1200]);
+    assert.deepStrictEqual(Array.from(window.channel), [0, 1]);
+    assert.deepStrictEqual({ ...cancel }, { type: 'cancel', fromSample: 96000 });
+  });
+  
+  it('disposes once - drops the queue and closes the port', async () => {
+    const env = createWorkletEnv();
+    const node = await env.run('ISOWorkletNode.create(ctx)');
+    node.connect(env.audioContext.destination);
+    
+    node.dispose();
+    node.dispose();
+    node.postWindow([{ time: 1, interval: 0.05, pulseIndex: 0, accent: 1, duty: 0.5 }], 110);
+    
+    assert.deepStrictEqual(node.messages.map(message => message.type), ['cancel']);
+    assert.strictEqual(node.port.closed, true);
+    assert.strictEqual(node.connections.size, 0);
+    await assert.rejects(node.schedule({}), /disposed/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * JMTimeline - scheduling, transport and automation
+ * Run: node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createTimelineEnv } = require('./helpers/timeline_env');
+
+/**
+ * Timeline on a fresh environment, recording every event it dispatches
+ * `setup` runs in the scripts' scope before the timeline is built (e.g. configureBrainwaveBands)
+ */
+function createTimeline(segments, options = {}, { setup, ...envOptions } = {}) {
+  const env = createTimelineEnv(envOptions);
+  if (setup) env.run(setup);
+  const timeline = env.run('new JMTimeline(ctx, segments, options)', {
+    segments,
+    options: { ticker: 'timeout', documentEvents: false, ...options }
+  });
+  const events = [];
+  const record = timeline.dispatchEvent.bind(timeline);
+  timeline.dispatchEvent = (type, detail) => {
+    events.push({ type, detail, at: env.audioContext.currentTime });
+    return record(type, detail);
+  };
+  return { env, timeline, events };
+}
+
+/**
+ * Alternating 1s plateaus and transitions, 4-12Hz
+ */
+function alternatingJourney(count) {
+  return Array.from({ length: count }, (_, i) => i % 2 === 0
+    ? { type: 'plateau', hz: 4 + (i % 8), durationSeconds: 1 }
+    : { type: 'transition', startHz: 4 + ((i - 1) % 8), endHz: 4 + ((i + 1) % 8), durationSeconds: 1 });
+}
+
+const ofType = (events, type) => events.filter(event => event.type === type);
+
+describe('segment events', () => {
+  it('dispatches the first segments of a long journey', () => {
+    const { env, timeline, events } = createTimeline(alternatingJourney(61));
+    timeline.start();
+    env.advance(2.5);
+    
+    assert.deepStrictEqual(ofType(events, 'timeline.segment.changed').map(e => e.detail.segmentIndex), [0, 1, 2]);
+    assert.deepStrictEqual(ofType(events, 'timeline.hz.changed').map(e => e.detail.hz), [4, 4, 6]);
+    assert.strictEqual(ofType(events, 'timeline.transition.start').length, 1);
+    assert.strictEqual(ofType(events, 'timeline.transition.end').length, 1);
+    timeline.dispose();
+  });
+  
+  it('announces every segment of a long journey', () => {
+    const { env, timeline, events } = createTimeline(alternatingJourney(121));
+    timeline.start();
+    env.advance(122);
+    
+    const announced = ofType(events, 'timeline.segment.changed').map(e => e.detail.segmentIndex);
+    assert.deepStrictEqual(announced, Array.from({ length: 121 }, (_, i) => i));
+    timeline.dispose();
+  });
+});
+describe('heard-time events in a hidden tab', () => {
+  it('go out from the worker tick while page timers are throttled', () => {
+    const { env, timeline, events } = createTimeline(alternatingJourney(3), { ticker: 'worker', outputLatency: 0.05 });
+    env.document.hidden = true;
+    timeline.start();
+    env.advance(1.92);
+    
+    const heard = [...ofType(events, 'timeline.pulse.32n'), ...ofType(events, 'timeline.segment.changed')];
+    assert.ok(ofType(events, 'timeline.pulse.32n').length > 12);
+    assert.deepStrictEqual(ofType(events, 'timeline.segment.changed').map(e => e.detail.segmentIndex), [0, 1]);
+    for (const { detail, at } of heard) {
+      const late = at - (detail.time + 0.05);
+      assert.ok(late >= -1e-9 && late < 0.033, `event at ${detail.time} dispatched ${late}s late`);
+    }
+    timeline.dispose();
+  });
+  
+  it('reach a future stop on the worker tick while page timers are throttled', () => {
+    const { env, timeline, events } = createTimeline(alternatingJourney(3), { ticker: 'worker', outputLatency: 0.05 });
+    env.document.hidden = true;
+    timeline.start();
+    env.advance(0.5);
+    
+    const stopTime = env.audioContext.currentTime + 0.3;
+    timeline.stop(stopTime);
+    env.advance(1);
+    
+    const stopped = ofType(events, 'timeline.stopped');
+    assert.strictEqual(stopped.length, 1);
+    const late = stopped[0].at - (stopTime + 0.05);
+    assert.ok(late >= -1e-9 && late < 0.033, `stop dispatched ${late}s late`);
+    assert.strictEqual(timeline.isRunning, false);
+    timeline.dispose();
+  });
+  
+  it('deliver every pulse at gamma rates', () => {
+    // 400 pulses/s (100Hz x 64n) - the hidden lookahead holds more than any fixed cap kept
+    const { env, timeline, events } = createTimeline([{ type: 'plateau', hz: 100, durationSeconds: 10, subdivision: '64n' }],
+      { ticker: 'worker' }, { setup: 'configureBrainwaveBands({ gammaMaxHz: 100 })' });
+    env.document.hidden = true;
+    timeline.start();
+    env.advance(2);
+    
+    const heard = ofType(events, 'timeline.pulse.32n');
+    assert.ok(heard.length > 750, `${heard.length} pulses heard`);
+    heard.forEach(({ detail, at }, i) => {
+      assert.strictEqual(detail.pulseIndex, i);
+      assert.ok(at - detail.time < 0.033, `pulse ${i} at ${detail.time} dispatched at ${at}`);
+    });
+    timeline.dispose();
+  });
+});
+describe('current Hz', () => {
+  it('reads the cue position while stopped', () => {
+    const { timeline } = createTimeline([
+      { type: 'transition', startHz: 8, endHz: 4, durationSeconds: 4 },
+      { type: 'plateau', hz: 6, durationSeconds: 4 }
+    ]);
+    assert.strictEqual(timeline.getCurrentHz(), 8);
+    
+    timeline.seek(5);
+    assert.strictEqual(timeline.getCurrentHz(), 6);
+    timeline.dispose();
+  });
+});
+describe('looping', () => {
+  it('keeps the loop pass when seeking just before a loop end', () => {
+    const { env, timeline, events } = createTimeline([
+      { type: 'plateau', hz: 4, durationSeconds: 10 },
+      { type: 'plateau', hz: 6, durationSeconds: 10 }
+    ]);
+    timeline.setLoop({ start: 0, end: 10, count: 2 });
+    timeline.start();
+    env.advance(9.95);
+    
+    // The wrap at 10s is already armed in the lookahead window
+    timeline.seek(5);
+    env.advance(6);
+    
+    assert.strictEqual(ofType(events, 'timeline.loop').length, 1);
+    assert.ok(Math.abs(timeline.getPosition() - 1) < 1e-6, `position ${timeline.getPosition()}, expected 1`);
+    timeline.dispose();
+  });
+});
+describe('session envelope', () => {
+  it('continues the fade-in after a pause', () => {
+    const { env, timeline } = createTimeline([{ type: 'plateau', hz: 8, durationSeconds: 30 }], { fadeIn: 4 });
+    const envelope = timeline.getEnvelopeNode().offset;
+    timeline.start();
+    env.advance(1);
+    timeline.pause();
+    env.advance(5);
+    timeline.resume();
+    
+    const now = env.audioContext.currentTime;
+    assert.ok(Math.abs(envelope.getValueAtTime(now) - 0.25) < 1e-6);
+    assert.ok(Math.abs(envelope.getValueAtTime(now + 1) - 0.5) < 1e-6);
+    assert.ok(Math.abs(envelope.getValueAtTime(now + 3) - 1) < 1e-6);
+    timeline.dispose();
+  });
+});
+describe('segment durations', () => {
+  it('compiles every duration field the validator accepts', () => {
+    const { timeline } = createTimeline([
+      { type: 'plateau', hz: 10, duration_min: 1 },
+      { type: 'transition', startHz: 10, endHz: 6, duration_seconds: 30 },
+      { type: 'plateau', hz: 6, durationSeconds: 15 }
+    ]);
+    
+    assert.deepStrictEqual(Array.from(timeline.compiledTimeline, segment => [segment.time, segment.duration]), [[0, 60], [60, 30], [90, 15]]);
+    assert.strictEqual(timeline.getTotalDuration(), 105);
+    timeline.dispose();
+  });
+});
+describe('pulse band', () => {
+  it('plays as many pulses on the ticker as compileForWorklet compiles', () => {
+    // 280 pulses end exactly on the journey end (10Hz x 32n x 14s)
+    const { env, timeline, events } = createTimeline([
+      { type: 'plateau', hz: 10, durationSeconds: 7 },
+      { type: 'transition', startHz: 10, endHz: 10, durationSeconds: 7 }
+    ]);
+    const compiled = timeline.compileForWorklet();
+    timeline.start();
+    env.advance(16);
+    
+    const played = ofType(events, 'timeline.pulse.scheduled').flatMap(event => Array.from(event.detail.pulses));
+    assert.strictEqual(compiled.length, 280);
+    assert.strictEqual(played.length, compiled.length);
+    assert.deepStrictEqual(played.map(pulse => pulse.pulseIndex), Array.from(compiled, pulse => pulse.pulseId));
+    timeline.dispose();
+  });
+});
+describe('pausing and stopping inside a value curve', () => {
+  const journey = (curve) => [
+    { type: 'plateau', hz: 4, durationSeconds: 2 },
+    { type: 'transition', startHz: 4, endHz: 12, durationSeconds: 4, transitionType: curve },
+    { type: 'plateau', hz: 12, durationSeconds: 2 }
+  ];
+  const browsers = [
+    ['cancelAndHoldAtTime', { cancelAndHoldAtTime: true }],
+    ['cancelScheduledValues only', { cancelAndHoldAtTime: false }]
+  ];
+  
+  for (const curve of ['ease-in-out', 'logarithmic']) {
+    for (const [browser, envOptions] of browsers) {
+      it(`pauses, seeks and resumes mid-${curve} (${browser})`, () => {
+        const { env, timeline, events } = createTimeline(journey(curve), {}, envOptions);
+        timeline.start();
+        env.advance(3);
+        
+        const expectedHz = timeline.getCurrentHz();
+        timeline.pause();
+        
+        assert.strictEqual(timeline.isPaused, true);
+        assert.strictEqual(ofType(events, 'timeline.paused').length, 1);
+        const hz = timeline.getLaneNode('hz').offset.getValueAtTime(env.audioContext.currentTime + 1);
+        assert.ok(Math.abs(hz - expectedHz) < 1e-6, `held ${hz}Hz, expected ${expectedHz}Hz`);
+        
+        timeline.seek(3.5);
+        env.advance(0.5);
+        timeline.resume();
+        env.advance(0.5);
+        assert.strictEqual(timeline.isRunning, true);
+        timeline.dispose();
+      });
+      
+      it(`stops gracefully mid-${curve} (${browser})`, () => {
+        const { env, timeline, events } = createTimeline(journey(curve), {}, envOptions);
+        timeline.start();
+        env.advance(3);
+        
+        const now = env.audioContext.currentTime;
+        const expectedHz = timeline.getCurrentHz();
+        timeline.stopGracefully(1);
+        
+        assert.strictEqual(ofType(events, 'timeline.stopping').length, 1);
+        const hz = timeline.getLaneNode('hz').offset.getValueAtTime(now);
+        assert.ok(Math.abs(hz - expectedHz) < 1e-6, `held ${hz}Hz, expected ${expectedHz}Hz`);
+        
+        env.advance(1.5);
+        assert.strictEqual(timeline.isRunning, false);
+        assert.strictEqual(ofType(events, 'timeline.stopped').length, 1);
+        timeline.dispose();
+      });
+    }
+    
+    it(`keeps the ${curve} shape up to a future hold (cancelScheduledValues only)`, () => {
+      const { env, timeline } = createTimeline(journey(curve), {}, { cancelAndHoldAtTime: false });
+      timeline.start();
+      env.advance(3);
+      
+      const param = timeline.getLaneNode('hz').offset;
+      const holdTime = env.audioContext.currentTime + 0.5;
+      const midway = env.audioContext.currentTime + 0.25;
+      const expectedHz = param.getValueAtTime(midway);
+      env.run('cancelAndHoldParam(param, holdTime, ctx.currentTime)', { param, holdTime });
+      
+      assert.ok(Math.abs(param.getValueAtTime(midway) - expectedHz) < 0.01);
+      timeline.dispose();
+    });
+  }
+});
\ No newline at end of file
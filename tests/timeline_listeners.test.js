@@ -0,0 +1,154 @@
+/**
+ * Timeline listeners - band listeners against a live JMTimeline
+ * Run: node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createTimelineEnv } = require('./helpers/timeline_env');
+
+// Synth scripts register a beforeunload handler on window
+const SYNTH_GLOBALS = { addEventListener() {} };
+
+/**
+ * Timeline plus one registered listener built from `listenerCode` (timeline in scope)
+ */
+async function createListenerTimeline(segments, listenerCode, { options = {}, ...envOptions } = {}) {
+  const env = createTimelineEnv(envOptions);
+  const timeline = env.run('new JMTimeline(ctx, segments, options)', {
+    segments,
+    options: { ticker: 'timeout', documentEvents: false, ...options }
+  });
+  const listener = env.run(listenerCode, { timeline });
+  await timeline.addListener(listener);
+  return { env, timeline, listener };
+}
+
+describe('PulseBandListener', () => {
+  it('reports the pulse rate at the segment subdivision', async () => {
+    const { env, timeline, listener } = await createListenerTimeline([
+      { type: 'plateau', hz: 8, durationSeconds: 1, subdivision: '16n' },
+      { type: 'plateau', hz: 8, durationSeconds: 1, subdivision: '8n' }
+    ], `
+      const listener = new PulseBandListener(ctx, { timeline });
+      listener.rates = [];
+      listener.onPulseRateChanged = (hz, interval) => listener.rates.push(interval);
+      listener
+    `);
+    timeline.start();
+    env.advance(1.5);
+    
+    assert.deepStrictEqual(Array.from(listener.rates, interval => +interval.toFixed(6)), [1 / 8, 1 / 4]);
+    timeline.dispose();
+  });
+  
+  it('triggers pulses ahead of their audio time', async () => {
+    const { env, timeline, listener } = await createListenerTimeline([
+      { type: 'plateau', hz: 8, durationSeconds: 2 }
+    ], `
+      const listener = new PulseBandListener(ctx, { timeline });
+      listener.calls = [];
+      listener.onPulse32n = (time) => listener.calls.push({ time, now: ctx.currentTime });
+      listener
+    `, { options: { outputLatency: 0.05 } });
+    timeline.start();
+    env.advance(1);
+    
+    assert.ok(listener.calls.length >= 16);
+    for (const { time, now } of listener.calls) assert.ok(time >= now, `pulse at ${time} triggered at ${now}`);
+    timeline.dispose();
+  });
+});
+
+describe('WaveBandListener', () => {
+  const journey = [
+    { type: 'plateau', hz: 4, durationSeconds: 1 },
+    { type: 'transition', startHz: 4, endHz: 8, durationSeconds: 1 },
+    { type: 'plateau', hz: 8, durationSeconds: 1 }
+  ];
+  
+  it('schedules Hz changes and transitions ahead of their audio time', async () => {
+    const { env, timeline, listener } = await createListenerTimeline(journey, `
+      const listener = new WaveBandListener(ctx, { timeline });
+      listener.calls = [];
+      listener.onHzChanged = (hz, time) => listener.calls.push({ hz, time, now: ctx.currentTime });
+      listener.onTransitionStart = (fromHz, toHz, duration, time) => listener.calls.push({ hz: toHz, time, now: ctx.currentTime });
+      listener
+    `, { options: { outputLatency: 0.05 } });
+    timeline.start();
+    env.advance(2.5);
+    
+    assert.deepStrictEqual(Array.from(listener.calls, call => call.hz), [4, 4, 8, 8]);
+    for (const { time, now } of listener.calls) assert.ok(time >= now, `change at ${time} scheduled at ${now}`);
+    timeline.dispose();
+  });
+  
+  it('withdraws scheduled changes on pause', async () => {
+    const { env, timeline, listener } = await createListenerTimeline(journey, `
+      const listener = new WaveBandListener(ctx, { timeline });
+      listener.cancelled = [];
+      listener.onWaveEventsCancelled = (time) => listener.cancelled.push(time);
+      listener
+    `);
+    timeline.start();
+    env.advance(0.95);
+    timeline.pause();
+    
+    assert.deepStrictEqual(Array.from(listener.cancelled), [0.95]);
+    timeline.dispose();
+  });
+});
+
+describe('synths at lookahead', () => {
+  it('BinauralSynth holds the beat when scheduled changes are withdrawn', async () => {
+    const { env, timeline, listener } = await createListenerTimeline([
+      { type: 'plateau', hz: 4, durationSeconds: 1 },
+      { type: 'plateau', hz: 8, durationSeconds: 1 }
+    ], 'new BinauralSynth(ctx)', { scripts: ['binaural_synth.js'], globals: SYNTH_GLOBALS, cancelAndHoldAtTime: false });
+    timeline.start();
+    env.advance(0.95);
+    
+    const beat = listener.beatSource.offset;
+    assert.strictEqual(beat.getValueAtTime(1.5), 8);
+    timeline.pause();
+    assert.strictEqual(beat.getValueAtTime(1.5), 4);
+    timeline.dispose();
+  });
+  
+  for (const hzMode of ['events', 'audio-rate']) {
+    it(`BinauralSynth goes quiet while paused (${hzMode})`, async () => {
+      const { env, timeline, listener } = await createListenerTimeline([
+        { type: 'plateau', hz: 4, durationSeconds: 4 }
+      ], `new BinauralSynth(ctx, { hzMode: '${hzMode}' })`, { scripts: ['binaural_synth.js'], globals: SYNTH_GLOBALS });
+      const gain = listener.pauseGain.gain;
+      timeline.start();
+      env.advance(1);
+      
+      timeline.pause();
+      assert.strictEqual(gain.getValueAtTime(1), 1);
+      assert.strictEqual(gain.getValueAtTime(1.1), 0);
+      assert.strictEqual(listener.isRunning, true);
+      
+      env.advance(1);
+      timeline.resume();
+      assert.strictEqual(gain.getValueAtTime(2), 0);
+      assert.strictEqual(gain.getValueAtTime(2.1), 1);
+      timeline.dispose();
+    });
+  }
+  
+  it('ISOSynth stops withdrawn pulses before they sound', async () => {
+    const { env, timeline } = await createListenerTimeline([
+      { type: 'plateau', hz: 8, durationSeconds: 2 }
+    ], 'new ISOSynth(ctx)', { scripts: ['iso_synth.js'], globals: SYNTH_GLOBALS });
+    timeline.start();
+    env.advance(0.5);
+    timeline.pause();
+    
+    const oscillators = env.audioContext.created.filter(node => node.frequency && node.startTime !== null);
+    const withdrawn = oscillators.filter(osc => osc.startTime >= 0.5);
+    assert.ok(oscillators.length > withdrawn.length && withdrawn.length > 0);
+    for (const osc of withdrawn) assert.strictEqual(osc.stopTime, osc.startTime);
+    timeline.dispose();
+  });
+});
\ No newline at end of file
@@ -3,9 +3,9 @@
  * Generates binaural beats by playing two slightly different frequencies
  * 
  * ARCHITECTURE:
- * - Two continuous oscillators (LEFT and RIGHT channels)
- * - Left ear: carrier frequency - (beat/2)
- * - Right ear: carrier frequency + (beat/2)
+ * - Two continuous oscillators (LEFT and RIGHT channels) at the carrier frequency
+ * - One beat source (ConstantSourceNode, offset = beat Hz) detunes both ears:
+ *   beat × -1/2 → left frequency, beat × +1/2 → right frequency
  * - Example: 110Hz carrier, 4Hz beat → L=108Hz, R=112Hz → 4Hz beat perceived
  * 
  * BINAURAL BEAT FORMULA:
@@ -14,19 +14,54 @@
  * - Right frequency = carrier + (beat/2)
  * - Perceived beat = rightFreq - leftFreq
  * 
- * TIMELINE INTEGRATION:
- * - Reads Hz values from timeline.hz.changed events
- * - Uses Hz from timeline as the binaural beat rate (not carrier frequency)
+ * TIMELINE INTEGRATION (WaveBandListener):
+ * - Register with timeline.addListener(synth) - the timeline starts, stops and disposes it
+ * - Hz changes and transitions become beat source automation at the event's audio time,
+ *   scheduled at lookahead (transitions follow their curve - see WaveBandListener.scheduleTransition);
+ *   withdrawn ones (pause, seek, stop) are cut back to a hold
  * - Carrier frequency set separately (e.g., 110Hz, 200Hz)
+ * - Follows the session envelope (timeline.envelope); a graceful stop's Hz glide
+ *   arrives as a transition to the resting Hz
+ * - Pausing the timeline fades the tone out over BINAURAL_PAUSE_RAMP (the oscillators
+ *   keep running); resuming fades it back in
+ * 
+ * AUDIO-RATE MODE ({ hzMode: BinauralHzMode.AUDIO_RATE }):
+ * - The timeline's virtual Hz node (getLaneNode('hz')) replaces the beat source, so
+ *   L/R = carrier ∓ Hz/2 is computed in the audio graph - transitions and the graceful
+ *   stop glide follow the timeline's own automation with no JS per Hz change
+ * - Connected while attached to a timeline (addListener/setListenerEnabled), or by hand
+ *   with connectHzNode()
  * 
  * EXPANDABLE: Ready for future enhancements (presets, voice mixing, etc.)
  */
 
-class BinauralSynth {
-  constructor(audioContext) {
-    this.audioContext = audioContext;
+/**
+ * Where the beat Hz comes from
+ */
+const BinauralHzMode = {
+  EVENTS: 'events',           // Own beat source, automated from hz.changed/transition.start
+  AUDIO_RATE: 'audio-rate'    // The timeline's virtual Hz node, connected in the audio graph
+};
+
+// Seconds the tone fades over on timeline pause/resume (no click)
+const BINAURAL_PAUSE_RAMP = 0.02;
+
+class BinauralSynth extends WaveBandListener {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {Object} options - WaveBandListener options ({ timeline } when not registered)
+   * @param {string} options.hzMode - BinauralHzMode value (default: events)
+   */
+  constructor(audioContext, options = {}) {
+    super(audioContext, options);
+    
+    this.hzMode = options.hzMode || BinauralHzMode.EVENTS;
+    this.hzNode = null; // Timeline Hz node driving the beat (audio-rate mode)
+    
     this.isRunning = false;
     this.masterGain = null;
+    this.pauseGain = null;
+    this.envelopeGain = null;
     
     // Carrier frequency (base tone, e.g., 110Hz)
     this.carrierFrequency = 200; // Default to 200Hz (common for binaural)
@@ -37,6 +72,11 @@ class BinauralSynth {
     // Stereo width (0-100): 0 = mono (center), 100 = full stereo (L=-1, R=+1)
     this.width = 100; // Default to full stereo separation
     
+    // Beat source and its per-ear halves (automated by the timeline)
+    this.beatSource = null;
+    this.leftBeatGain = null;
+    this.rightBeatGain = null;
+    
     // Continuous oscillators (always playing when running)
     this.leftOscillator = null;
     this.rightOscillator = null;
@@ -45,13 +85,11 @@ class BinauralSynth {
     this.leftPanner = null;
     this.rightPanner = null;
     
-    // Bound event handler methods
-    this._boundHandleHzChanged = this._handleHzChanged.bind(this);
-    this._boundHandleStarted = this._handleStartedEvent.bind(this);
-    this._boundHandleStopped = this._handleStoppedEvent.bind(this);
-    
     this.setupAudioGraph();
-    this.setupEventListeners();
+    
+    if (this.hzMode === BinauralHzMode.AUDIO_RATE && options.timeline) {
+      this.connectHzNode(options.timeline.getLaneNode(AutomationLane.HZ));
+    }
     
     console.log('Binaural Synth initialized - continuous tone architecture ready');
   }
@@ -60,10 +98,31 @@ class BinauralSynth {
    * Setup audio graph with L/R channels for binaural beats
    */
   setupAudioGraph() {
+    // Session envelope gain (timeline fades) after the master volume
+    this.envelopeGain = this.audioContext.createGain();
+    this.envelopeGain.gain.value = 1.0;
+    this.envelopeGain.connect(this.audioContext.destination);
+    
+    // Pause gain - mutes the running oscillators while the timeline is paused
+    this.pauseGain = this.audioContext.createGain();
+    this.pauseGain.gain.value = 1.0;
+    this.pauseGain.connect(this.envelopeGain);
+    
     // Master gain for overall volume
     this.masterGain = this.audioContext.createGain();
     this.masterGain.gain.value = 0.3; // Safe default volume
-    this.masterGain.connect(this.audioContext.destination);
+    this.masterGain.connect(this.pauseGain);
+    
+    // Beat source: offset = beat Hz, split into -beat/2 (left) and +beat/2 (right)
+    this.beatSource = this.audioContext.createConstantSource();
+    this.beatSource.offset.value = this.beatFrequency;
+    this.leftBeatGain = this.audioContext.createGain();
+    this.leftBeatGain.gain.value = -0.5;
+    this.rightBeatGain = this.audioContext.createGain();
+    this.rightBeatGain.gain.value = 0.5;
+    this.beatSource.connect(this.leftBeatGain);
+    this.beatSource.connect(this.rightBeatGain);
+    this.beatSource.start();
     
     // LEFT channel: carrier - (beat/2)
     this.leftPanner = this.audioContext.createStereoPanner();
@@ -84,47 +143,128 @@ class BinauralSynth {
   }
   
   /**
-   * Setup timeline event listeners
+   * Timeline Hz change - set the beat at the event's audio time (plateaus, transition starts)
+   */
+  onHzChanged(hz, time, waveType) {
+    this.beatFrequency = hz;
+    if (this.hzNode) return; // The audio graph follows the timeline
+    
+    const changeTime = Math.max(time, this.audioContext.currentTime);
+    cancelAndHoldParam(this.beatSource.offset, changeTime, this.audioContext.currentTime);
+    this.beatSource.offset.setValueAtTime(hz, changeTime);
+  }
+  
+  /**
+   * Timeline transition - ramp the beat along the transition curve
    */
-  setupEventListeners() {
-    document.addEventListener('timeline.hz.changed', this._boundHandleHzChanged);
-    document.addEventListener('timeline.started', this._boundHandleStarted);
-    document.addEventListener('timeline.stopped', this._boundHandleStopped);
+  onTransitionStart(fromHz, toHz, duration, startTime, detail) {
+    this.beatFrequency = toHz;
+    if (this.hzNode) return; // The audio graph follows the timeline
+    
+    this.scheduleTransition(this.beatSource.offset, detail);
   }
   
   /**
-   * Handle timeline Hz change - update binaural beat frequency
-   * @private
+   * Timeline withdrew scheduled Hz changes - hold the beat where it is at that time
    */
-  _handleHzChanged(event) {
-    if (!this.isRunning) return;
+  onWaveEventsCancelled(time) {
+    if (this.hzNode) return; // The timeline holds its own Hz node
     
-    const { hz } = event.detail;
-    this.setBeatFrequency(hz);
+    const now = this.audioContext.currentTime;
+    cancelAndHoldParam(this.beatSource.offset, Math.max(time, now), now);
   }
   
   /**
-   * Handle timeline started event
-   * @private
+   * Session envelope - ramp the envelope gain through the timeline's breakpoints
+   */
+  onEnvelopeChanged(value, time, detail) {
+    this.scheduleEnvelope(this.envelopeGain.gain, detail);
+  }
+  
+  /**
+   * Timeline paused - fade the tone out (the oscillators keep running for resume)
+   */
+  onTimelinePause(detail) {
+    this._rampPauseGain(0, detail.pauseTime);
+  }
+  
+  /**
+   * Timeline resumed - fade the tone back in
    */
-  _handleStartedEvent(event) {
-    console.log('Binaural Synth: Timeline started');
-    // Hz will be set via hz.changed events
+  onTimelineResume(detail) {
+    this._rampPauseGain(1, detail.resumeTime);
   }
   
   /**
-   * Handle timeline stopped event
+   * Ramp the pause gain to a value over BINAURAL_PAUSE_RAMP from an audio time
    * @private
    */
-  _handleStoppedEvent(event) {
-    console.log('Binaural Synth: Timeline stopped');
-    this.stop();
+  _rampPauseGain(value, time) {
+    const gain = this.pauseGain.gain;
+    const now = this.audioContext.currentTime;
+    const rampStart = Math.max(time ?? now, now);
+    
+    cancelAndHoldParam(gain, rampStart, now);
+    gain.linearRampToValueAtTime(value, rampStart + BINAURAL_PAUSE_RAMP);
+  }
+  
+  /**
+   * Attach to a timeline - audio-rate mode connects its virtual Hz node
+   */
+  attach(timeline, options) {
+    super.attach(timeline, options);
+    if (this.hzMode === BinauralHzMode.AUDIO_RATE) {
+      this.connectHzNode(timeline.getLaneNode(AutomationLane.HZ));
+    }
+  }
+  
+  detach() {
+    this.disconnectHzNode();
+    super.detach();
+  }
+  
+  /**
+   * Drive the beat from a Hz signal (e.g. timeline.getLaneNode('hz')) instead of the beat source
+   * @param {AudioNode} node - Node whose output is the beat Hz
+   */
+  connectHzNode(node) {
+    this.disconnectHzNode();
+    this.beatSource.disconnect();
+    node.connect(this.leftBeatGain);
+    node.connect(this.rightBeatGain);
+    this.hzNode = node;
+  }
+  
+  /**
+   * Return the beat to the synth's own beat source
+   */
+  disconnectHzNode() {
+    if (!this.hzNode) return;
+    
+    this.hzNode.disconnect(this.leftBeatGain);
+    this.hzNode.disconnect(this.rightBeatGain);
+    this.hzNode = null;
+    this.beatSource.offset.setValueAtTime(this.beatFrequency, this.audioContext.currentTime);
+    this.beatSource.connect(this.leftBeatGain);
+    this.beatSource.connect(this.rightBeatGain);
+  }
+  
+  /**
+   * Unregistered use ({ timeline } option + startListening()) - follow the transport events
+   */
+  onTimelineStart(detail) {
+    this.start(detail);
+  }
+  
+  onTimelineStop(detail) {
+    this.stop(detail);
   }
   
   /**
    * Start binaural beat generation
+   * @param {Object} detail - Lifecycle/event detail - oscillators start at detail.startTime (default: now)
    */
-  start() {
+  start(detail = {}) {
     if (this.isRunning) return;
     
     this.isRunning = true;
@@ -133,17 +273,22 @@ class BinauralSynth {
     this.leftOscillator = this.audioContext.createOscillator();
     this.leftOscillator.type = 'sine';
     this.leftOscillator.connect(this.leftGain);
+    this.leftBeatGain.connect(this.leftOscillator.frequency);
     
     // Create and start RIGHT oscillator
     this.rightOscillator = this.audioContext.createOscillator();
     this.rightOscillator.type = 'sine';
     this.rightOscillator.connect(this.rightGain);
+    this.rightBeatGain.connect(this.rightOscillator.frequency);
     
-    // Set initial frequencies
-    this.updateFrequencies();
+    // Oscillators run at the carrier - the beat source adds ∓beat/2
+    this.leftOscillator.frequency.value = this.carrierFrequency;
+    this.rightOscillator.frequency.value = this.carrierFrequency;
     
-    // Start oscillators
-    const startTime = this.audioContext.currentTime;
+    // Start oscillators (unmuted - a stop while paused leaves the pause gain at 0)
+    const startTime = Math.max(detail.startTime ?? 0, this.audioContext.currentTime);
+    cancelAndHoldParam(this.pauseGain.gain, startTime, this.audioContext.currentTime);
+    this.pauseGain.gain.setValueAtTime(1.0, startTime);
     this.leftOscillator.start(startTime);
     this.rightOscillator.start(startTime);
     
@@ -153,22 +298,25 @@ class BinauralSynth {
   
   /**
    * Stop binaural beat generation
+   * @param {Object} detail - Lifecycle/event detail - oscillators stop at detail.stopTime (default: now)
    */
-  stop() {
+  stop(detail = {}) {
     if (!this.isRunning) return;
     
     this.isRunning = false;
     
     // Stop and cleanup oscillators
-    const stopTime = this.audioContext.currentTime + 0.01;
+    const stopTime = Math.max(detail.stopTime ?? 0, this.audioContext.currentTime) + 0.01;
     
     if (this.leftOscillator) {
       this.leftOscillator.stop(stopTime);
+      this.leftBeatGain.disconnect(this.leftOscillator.frequency);
       this.leftOscillator = null;
     }
     
     if (this.rightOscillator) {
       this.rightOscillator.stop(stopTime);
+      this.rightBeatGain.disconnect(this.rightOscillator.frequency);
       this.rightOscillator = null;
     }
     
@@ -186,12 +334,21 @@ class BinauralSynth {
   }
   
   /**
-   * Set binaural beat frequency (difference between ears)
+   * Set binaural beat frequency now (difference between ears) - replaces timeline automation
+   * (ignored while a Hz node drives the beat)
    * @param {number} beatHz - Beat frequency in Hz (typically 0.5-40Hz)
    */
   setBeatFrequency(beatHz) {
-    this.beatFrequency = Math.max(0.1, Math.min(40, beatHz));
-    this.updateFrequencies();
+    if (this.hzNode) {
+      console.warn('Binaural Synth: beat follows the timeline Hz node - setBeatFrequency ignored');
+      return;
+    }
+    
+    const currentTime = this.audioContext.currentTime;
+    this.beatFrequency = Math.max(0.1, Math.min(TIMELINE_CONSTANTS.HZ_MAX, beatHz));
+    cancelAndHoldParam(this.beatSource.offset, currentTime, currentTime);
+    this.beatSource.offset.setValueAtTime(this.beatSource.offset.value, currentTime);
+    this.beatSource.offset.linearRampToValueAtTime(this.beatFrequency, currentTime + 0.05);
     console.log(`Binaural beat frequency set to: ${this.beatFrequency}Hz`);
   }
   
@@ -226,25 +383,23 @@ class BinauralSynth {
   }
   
   /**
-   * Update oscillator frequencies based on carrier and beat
+   * Glide both oscillators to the carrier frequency (the beat source keeps its offset)
    * @private
    */
   updateFrequencies() {
     if (!this.isRunning || !this.leftOscillator || !this.rightOscillator) return;
     
     const currentTime = this.audioContext.currentTime;
-    const leftFreq = this.getLeftFrequency();
-    const rightFreq = this.getRightFrequency();
     
     // Use exponentialRampToValueAtTime for smooth frequency changes
     // Small ramp time (50ms) to avoid clicks
     const rampTime = currentTime + 0.05;
     
-    this.leftOscillator.frequency.setValueAtTime(this.leftOscillator.frequency.value, currentTime);
-    this.leftOscillator.frequency.exponentialRampToValueAtTime(leftFreq, rampTime);
-    
-    this.rightOscillator.frequency.setValueAtTime(this.rightOscillator.frequency.value, currentTime);
-    this.rightOscillator.frequency.exponentialRampToValueAtTime(rightFreq, rampTime);
+    for (const oscillator of [this.leftOscillator, this.rightOscillator]) {
+      oscillator.frequency.cancelScheduledValues(currentTime);
+      oscillator.frequency.setValueAtTime(oscillator.frequency.value, currentTime);
+      oscillator.frequency.exponentialRampToValueAtTime(this.carrierFrequency, rampTime);
+    }
   }
   
   /**
@@ -285,23 +440,30 @@ class BinauralSynth {
   }
   
   /**
-   * Cleanup - remove event listeners and dispose audio nodes
+   * Cleanup - remove timeline handlers and dispose audio nodes
    */
   dispose() {
     this.stop();
     
-    // Remove event listeners
-    document.removeEventListener('timeline.hz.changed', this._boundHandleHzChanged);
-    document.removeEventListener('timeline.started', this._boundHandleStarted);
-    document.removeEventListener('timeline.stopped', this._boundHandleStopped);
+    // Remove timeline handlers (and leave the timeline's registry)
+    super.dispose();
+    this.disconnectHzNode();
     
-    // Disconnect audio nodes
+    // Stop beat source and disconnect audio nodes
+    if (this.beatSource) {
+      this.beatSource.stop();
+      this.beatSource.disconnect();
+    }
+    if (this.leftBeatGain) this.leftBeatGain.disconnect();
+    if (this.rightBeatGain) this.rightBeatGain.disconnect();
     if (this.leftGain) this.leftGain.disconnect();
     if (this.rightGain) this.rightGain.disconnect();
     if (this.leftPanner) this.leftPanner.disconnect();
     if (this.rightPanner) this.rightPanner.disconnect();
     if (this.masterGain) this.masterGain.disconnect();
+    if (this.pauseGain) this.pauseGain.disconnect();
+    if (this.envelopeGain) this.envelopeGain.disconnect();
     
     console.log('Binaural Synth disposed');
   }
-}
+}
\ No newline at end of file
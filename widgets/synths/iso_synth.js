@@ -4,29 +4,42 @@
  * 
  * ARCHITECTURE:
  * - Two independent oscillator channels (LEFT and RIGHT)
- * - Alternating pulse pattern: L → R → L → R
- * - Each channel gets 750ms rest at 2Hz (250ms pulse + 250ms silence + 500ms wait)
+ * - Alternating pulse pattern: L → R → L → R (even pulseIndex left, odd right)
  * - Discrete envelopes eliminate overlap interference
- * - 50% duty cycle: 250ms pulse, 250ms silence at 2Hz
+ * - Pulse length follows the pattern's duty (isoDuty lane, default 80% of the interval)
+ * - Pulse level follows the pattern's accent
  * 
  * STEREO MODES:
  * - Ping-pong: L fully left, R fully right (spatial alternation)
  * - Center: L and R both center (temporal alternation, mono image)
  * 
+ * TIMELINE INTEGRATION (PulseBandListener):
+ * - Register with timeline.addListener(synth) - the timeline starts, stops and disposes it
+ * - Each pulse of a lookahead window (onPulse32n) schedules fresh nodes at the pulse's audio time;
+ *   withdrawn pulses (pause, seek, stop) are stopped before they sound
+ * - Follows the session envelope (timeline.envelope)
+ * - The AudioWorklet (iso-pulse-processor) renders the same pattern - disable this
+ *   listener (timeline.setListenerEnabled(synth, false)) while the worklet plays
+ * 
  * EXPANDABLE: Ready for future 5x2 factory architecture
  */
 
-class ISOSynth {
-  constructor(audioContext) {
-    this.audioContext = audioContext;
+class ISOSynth extends PulseBandListener {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {Object} options - PulseBandListener options ({ timeline } when not registered)
+   */
+  constructor(audioContext, options = {}) {
+    super(audioContext, options);
+    
     this.isRunning = false;
     this.masterGain = null;
-    this.pulseCounter = 0;
+    this.envelopeGain = null;
     
     // Constants from ISO_README.md
-    this.ATTACK_TIME = 0.005;   // 1ms
-    this.RELEASE_TIME = 0.135;  // 5ms
-    this.ENVELOPE_OVERHEAD = this.ATTACK_TIME + this.RELEASE_TIME; // 
+    this.ATTACK_TIME = 0.005;   // 5ms
+    this.RELEASE_TIME = 0.135;  // 135ms
+    this.ENVELOPE_OVERHEAD = this.ATTACK_TIME + this.RELEASE_TIME;
     
     // Carrier frequency (the actual sine wave pitch) - separate from pulse rate
     this.carrierFrequency = 440; // Default to A4 (440Hz)
@@ -40,20 +53,23 @@ class ISOSynth {
     // LEFT and RIGHT channel state tracking
     this.channels = {
       left: {
-        activePulses: new Set(),
+        activePulses: new Map(),  // pulseId → { oscillator, startTime }
         panNode: null,
         pulseCount: 0
       },
       right: {
-        activePulses: new Set(),
+        activePulses: new Map(),
         panNode: null,
         pulseCount: 0
       }
     };
     
+    // Reusable cleanup handlers (no new functions per pulse)
+    this._oscillatorCleanupData = new WeakMap();
+    this._boundDisconnectEnvelope = this._disconnectEnvelope.bind(this);
+    this._boundOscillatorEnded = this._createOscillatorEndedHandler();
+    
     this.setupAudioGraph();
-    // DISABLED: Old node-based pulse generation (replaced by AudioWorklet)
-    // this.setupEventListeners();
     
     console.log('ISO Synth initialized - Alternating L/R architecture ready');
   }
@@ -62,10 +78,15 @@ class ISOSynth {
    * Setup audio graph with L/R channels and stereo positioning
    */
   setupAudioGraph() {
+    // Session envelope gain (timeline fades) after the master volume
+    this.envelopeGain = this.audioContext.createGain();
+    this.envelopeGain.gain.value = 1.0;
+    this.envelopeGain.connect(this.audioContext.destination);
+    
     // Master gain for overall volume
     this.masterGain = this.audioContext.createGain();
     this.masterGain.gain.value = 0.3; // Safe default volume
-    this.masterGain.connect(this.audioContext.destination);
+    this.masterGain.connect(this.envelopeGain);
     
     // LEFT channel pan node
     this.channels.left.panNode = this.audioContext.createStereoPanner();
@@ -126,79 +147,69 @@ class ISOSynth {
   }
   
   /**
-   * Setup timeline event listeners for pulse generation
+   * Timeline pulse - schedule one pulse at the pulse's audio time
    */
-  setupEventListeners() {
-    // Add listeners using pre-bound methods (no new functions created)
-    document.addEventListener('timeline.pulse.32n', this._boundHandlePulseEvent);
-    document.addEventListener('timeline.started', this._boundHandleStartedEvent);
-    document.addEventListener('timeline.stopped', this._boundHandleStoppedEvent);
+  onPulse32n(time, hz, interval, pulseCount, { accent, pulseIndex, duty }) {
+    if (!this.isRunning || accent <= 0) return;
+    
+    // Alternate ears like the worklet: even pulses left, odd pulses right
+    const channelName = (pulseIndex ?? pulseCount - 1) % 2 === 0 ? 'left' : 'right';
+    const pulseDuration = this.calculatePulseDuration(interval, duty);
+    
+    this.generatePulse(channelName, pulseDuration, Math.max(time, this.audioContext.currentTime), accent);
   }
   
   /**
-   * Handle pulse event - called on every 32n pulse
-   * @private
+   * Timeline withdrew pulses - stop the ones starting at or after `time` before they sound
    */
-  _handlePulseEvent(event) {
-    if (!this.isRunning) return;
-    
-    const { hz, time } = event.detail;
-    
-    // Increment pulse counter
-    this.pulseCounter++;
-    
-    // Calculate pulse duration based on timeline Hz (pulse rate)
-    const pulseDuration = this.calculatePulseDuration(hz);
-    
-    // LEFT CHANNEL - fires on ODD pulses only
-    if (this.pulseCounter % 2 === 1) {
-      this.generatePulse('left', pulseDuration, time);
-    }
-    
-    // RIGHT CHANNEL - fires on EVEN pulses only (DISABLED FOR TESTING)
-    if (this.enableRightChannel && this.pulseCounter % 2 === 0) {
-      this.generatePulse('right', pulseDuration, time);
+  onPulsesCancelled(time) {
+    for (const channel of [this.channels.left, this.channels.right]) {
+      for (const { oscillator, startTime } of channel.activePulses.values()) {
+        if (startTime >= time) oscillator.stop(startTime);
+      }
     }
   }
   
   /**
-   * Handle timeline started event
-   * @private
+   * Session envelope - ramp the envelope gain through the timeline's breakpoints
    */
-  _handleStartedEvent() {
-    this.start();
+  onEnvelopeChanged(value, time, detail) {
+    this.scheduleEnvelope(this.envelopeGain.gain, detail);
   }
   
   /**
-   * Handle timeline stopped event
-   * @private
+   * Unregistered use ({ timeline } option + startListening()) - follow the transport events
    */
-  _handleStoppedEvent() {
-    this.stop();
+  onTimelineStart(detail) {
+    this.start(detail);
+  }
+  
+  onTimelineStop(detail) {
+    this.stop(detail);
   }
   
   /**
-   * Calculate pulse duration based on Hz frequency
-   * Formula: (1000ms / Hz) / 2 = 50% duty cycle
+   * Calculate pulse duration from the pulse interval
+   * Formula: interval × duty (isoDuty lane)
+   * @param {number} interval - Seconds until the next pulse
+   * @param {number} duty - Fraction of the interval the tone sounds (default: isoDuty lane default)
    */
-  calculatePulseDuration(hz) {
-    if (hz <= 0) return 0.1; // Fallback for invalid Hz
-    
-    const period = 1.0 / hz; // Period in seconds
-    const pulseDuration = period / .5; // 
+  calculatePulseDuration(interval, duty = LANE_DEFAULTS.isoDuty) {
+    if (!(interval > 0)) return 0.1; // Fallback for invalid interval
     
     // Ensure minimum duration for proper envelope
-    return Math.max(pulseDuration, this.ENVELOPE_OVERHEAD);
+    return Math.max(interval * duty, this.ENVELOPE_OVERHEAD);
   }
   
   /**
    * Generate a single pulse on specified channel
    * CRITICAL: Fresh nodes per pulse + discrete channel cleanup
    * @param {string} channelName - 'left' or 'right'
-   * @param {number} pulseDuration - Duration of the pulse envelope (from timeline Hz)
+   * @param {number} pulseDuration - Duration of the pulse envelope (from timeline interval)
    * @param {number} startTime - Web Audio scheduled start time (sample-accurate)
+   * @param {number} level - Envelope peak (pulse accent, 0-1)
    */
-  generatePulse(channelName, pulseDuration, startTime = null) {
+  generatePulse(channelName, pulseDuration, startTime = null, level = 1.0) {
     const scheduleTime = startTime !== null ? startTime : this.audioContext.currentTime;
     const channel = this.channels[channelName];
     
@@ -206,21 +217,21 @@ class ISOSynth {
     const oscillator = this.audioContext.createOscillator();
     const envelope = this.audioContext.createGain();
     
-    // Track this pulse for channel-specific cleanup
+    // Track this pulse for channel-specific cleanup (and withdrawal before it starts)
     const pulseId = Date.now() + Math.random();
-    channel.activePulses.add(pulseId);
+    channel.activePulses.set(pulseId, { oscillator, startTime: scheduleTime });
     channel.pulseCount++;
     
     // Configure oscillator - use carrier frequency (NOT timeline Hz)
     oscillator.type = 'sine';
     oscillator.frequency.setValueAtTime(this.carrierFrequency, scheduleTime);
     
-    // Connect: oscillator → envelope → channel pan → master gain → destination
+    // Connect: oscillator → envelope → channel pan → master gain → envelope gain → destination
     oscillator.connect(envelope);
     envelope.connect(channel.panNode);
     
     // Setup envelope with precise timing
-    this.setupEnvelope(envelope, pulseDuration, scheduleTime);
+    this.setupEnvelope(envelope, pulseDuration, scheduleTime, level);
     
     // Calculate exact timing for cleanup
     const envelopeEndTime = scheduleTime + pulseDuration;
@@ -247,14 +258,16 @@ class ISOSynth {
   
   /**
    * Setup ADSR envelope with precise timing
-   * 1ms attack → sustain → 5ms release
+   * 5ms attack → sustain → 135ms release
    * @param {GainNode} envelope - The gain node to automate
    * @param {number} pulseDuration - Total pulse duration
    * @param {number} startTime - Web Audio scheduled start time
+   * @param {number} level - Peak level (pulse accent, 0-1)
    */
-  setupEnvelope(envelope, pulseDuration, startTime = null) {
+  setupEnvelope(envelope, pulseDuration, startTime = null, level = 1.0) {
     const scheduleTime = startTime !== null ? startTime : this.audioContext.currentTime;
     const sustainTime = pulseDuration - this.ENVELOPE_OVERHEAD;
+    const peak = Math.max(level, 0.0001);
     
     // Ensure positive sustain time
     const actualSustainTime = Math.max(sustainTime, 0);
@@ -271,10 +284,10 @@ class ISOSynth {
     envelope.gain.setValueAtTime(0.0001, scheduleTime);
     
     // Attack: exponential ramp to peak (smoother onset than linear)
-    envelope.gain.exponentialRampToValueAtTime(1.0, attackEnd);
+    envelope.gain.exponentialRampToValueAtTime(peak, attackEnd);
     
-    // Sustain: hold at 1.0
-    envelope.gain.setValueAtTime(1.0, releaseStart);
+    // Sustain: hold at peak
+    envelope.gain.setValueAtTime(peak, releaseStart);
     
     // Release: exponential ramp to near-zero (smoother offset than linear)
     envelope.gain.exponentialRampToValueAtTime(0.0001, releaseEnd);
@@ -285,33 +298,24 @@ class ISOSynth {
   
   /**
    * Start ISO synth system
+   * @param {Object} detail - Lifecycle/event detail (pulses carry their own times)
    */
-  start() {
+  start(detail = {}) {
     if (this.isRunning) return;
     
     this.isRunning = true;
-    this.pulseCounter = 0; // Reset pulse counter on start
     console.log('ISO Synth started - listening for pulse events');
   }
   
   /**
-   * Stop ISO synth system with emergency cleanup
+   * Stop ISO synth system - pulses scheduled ahead past the stop never sound
+   * @param {Object} detail - Lifecycle/event detail - pulses withdrawn from detail.stopTime (default: now)
    */
-  stop() {
+  stop(detail = {}) {
     if (!this.isRunning) return;
     
     this.isRunning = false;
-    
-    // Emergency cleanup: force stop any remaining active pulses on BOTH channels
-    const leftActive = this.channels.left.activePulses.size;
-    const rightActive = this.channels.right.activePulses.size;
-    const totalActive = leftActive + rightActive;
-    
-    if (totalActive > 0) {
-      console.warn(`ISO Synth cleanup: ${leftActive} LEFT + ${rightActive} RIGHT = ${totalActive} active pulses during stop`);
-      this.channels.left.activePulses.clear();
-      this.channels.right.activePulses.clear();
-    }
+    this.onPulsesCancelled(Math.max(detail.stopTime ?? 0, this.audioContext.currentTime));
     
     console.log('ISO Synth stopped - L/R pulse generation disabled');
   }
@@ -324,21 +328,21 @@ class ISOSynth {
     this.carrierFrequency = Math.max(20, Math.min(20000, frequency)); // Human hearing range
     console.log(`ISO Synth carrier frequency set to: ${this.carrierFrequency}Hz`);
   }
-
+  
   /**
    * Get current carrier frequency
    */
   getCarrierFrequency() {
     return this.carrierFrequency;
   }
-
+  
   /**
    * Set master volume (0.0 to 1.0)
    */
   setVolume(volume) {
     if (this.masterGain) {
       this.masterGain.gain.setValueAtTime(
-        Math.max(0, Math.min(1, volume)), 
+        Math.max(0, Math.min(1, volume)),
         this.audioContext.currentTime
       );
     }
@@ -394,10 +398,8 @@ class ISOSynth {
   dispose() {
     this.stop();
     
-    // Remove event listeners using bound methods
-    document.removeEventListener('timeline.pulse.32n', this._boundHandlePulseEvent);
-    document.removeEventListener('timeline.started', this._boundHandleStartedEvent);
-    document.removeEventListener('timeline.stopped', this._boundHandleStoppedEvent);
+    // Remove timeline handlers (and leave the timeline's registry)
+    super.dispose();
     
     // Disconnect pan nodes
     if (this.channels.left.panNode) {
@@ -410,12 +412,17 @@ class ISOSynth {
       this.channels.right.panNode = null;
     }
     
-    // Disconnect master gain
+    // Disconnect master and envelope gains
     if (this.masterGain) {
       this.masterGain.disconnect();
       this.masterGain = null;
     }
     
+    if (this.envelopeGain) {
+      this.envelopeGain.disconnect();
+      this.envelopeGain = null;
+    }
+    
     // Clear any remaining pulse tracking on both channels
     this.channels.left.activePulses.clear();
     this.channels.right.activePulses.clear();
@@ -423,7 +430,7 @@ class ISOSynth {
     // Null out audioContext reference
     this.audioContext = null;
     
-    console.log('ISO Synth disposed - L/R channels, event listeners, and all resources cleaned up');
+    console.log('ISO Synth disposed - L/R channels, timeline handlers, and all resources cleaned up');
   }
 }
 
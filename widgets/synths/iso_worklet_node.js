@@ -0,0 +1,252 @@
+/**
+ * ISOWorkletNode - iso-pulse-processor AudioWorkletNode
+ * Loads the processor module once per AudioContext and wraps its port protocol
+ * 
+ * CORE FUNCTIONALITY:
+ * • ISOWorkletNode.create(context) loads worklets/iso_pulse_processor.js (once per
+ *   context, resolved against this script's URL) and builds the node
+ * • initialized - Promise for the processor's { voiceCount }
+ * • scheduleReceived - Promise for the next chunk confirmation ('schedule'/'pulses')
+ * • Every processor message is also dispatched on the node as an event of its type
+ *   (CustomEvent, detail = message): 'noFreeVoice', 'error', 'needPulses', ...
+ * • Posts chunks (compileWorkletChunk), live windows (timeline.pulse.scheduled) and
+ *   cancels with their typed array buffers transferred
+ * 
+ * USAGE:
+ * ```javascript
+ * const node = await ISOWorkletNode.create(audioContext);
+ * node.addEventListener('noFreeVoice', (e) => console.warn(e.detail.pulseId));
+ * node.connect(audioContext.destination);
+ * node.postWindow(pulses, 110);   // From timeline.pulse.scheduled
+ * node.cancelFrom(stopTime);      // From timeline.pulse.cancelled / stop
+ * node.dispose();
+ * ```
+ * 
+ * JMTimeline integration goes through ISOWorkletSynth, the PulseBandListener that
+ * owns one of these: its prepare/stop/dispose hooks create, flush and release the node.
+ */
+
+/**
+ * Processor module URL - next to this script, so it resolves from any page
+ */
+const ISO_WORKLET_MODULE_URL = (typeof document !== 'undefined' && document.currentScript)
+  ? new URL('worklets/iso_pulse_processor.js', document.currentScript.src).href
+  : 'widgets/synths/worklets/iso_pulse_processor.js';
+
+// Module load per AudioContext: context → Map(moduleUrl → Promise)
+const isoWorkletModules = new WeakMap();
+
+/**
+ * Plain script load must not throw without AudioWorklet support - create() rejects instead
+ */
+const ISOWorkletNodeBase = typeof AudioWorkletNode !== 'undefined' ? AudioWorkletNode : class {};
+
+class ISOWorkletNode extends ISOWorkletNodeBase {
+  /**
+   * Load the processor module into a context (once - later calls share the first load)
+   * @param {BaseAudioContext} context
+   * @param {string} moduleUrl - Processor module (default: ISO_WORKLET_MODULE_URL)
+   * @returns {Promise} Resolves when the module is registered
+   */
+  static load(context, moduleUrl = ISO_WORKLET_MODULE_URL) {
+    if (typeof AudioWorkletNode === 'undefined' || !context.audioWorklet) {
+      return Promise.reject(new Error('ISOWorkletNode: AudioWorklet not supported'));
+    }
+    
+    let modules = isoWorkletModules.get(context);
+    if (!modules) {
+      modules = new Map();
+      isoWorkletModules.set(context, modules);
+    }
+    
+    if (!modules.has(moduleUrl)) {
+      const loading = context.audioWorklet.addModule(moduleUrl).catch((error) => {
+        modules.delete(moduleUrl); // Let a later call retry
+        throw error;
+      });
+      modules.set(moduleUrl, loading);
+    }
+    return modules.get(moduleUrl);
+  }
+  
+  /**
+   * Load the module (if needed) and create a node
+   * @param {BaseAudioContext} context
+   * @param {Object} options - { moduleUrl, lowWaterSeconds } - see constructor
+   * @returns {Promise<ISOWorkletNode>}
+   */
+  static async create(context, options = {}) {
+    await ISOWorkletNode.load(context, options.moduleUrl);
+    return new ISOWorkletNode(context, options);
+  }
+  
+  /**
+   * Use create() unless the module is known to be loaded in this context
+   * @param {BaseAudioContext} context
+   * @param {Object} options
+   * @param {number} options.lowWaterSeconds - Chunked streams ask for more below this (default: 5)
+   */
+  constructor(context, options = {}) {
+    super(context, 'iso-pulse-processor', {
+      outputChannelCount: [2],  // Stereo output (L + R channels)
+      processorOptions: { lowWaterSeconds: options.lowWaterSeconds ?? 5 }
+    });
+    
+    this.voiceCount = null;
+    this.isDisposed = false;
+    
+    // Processor ready - resolves with { voiceCount }
+    this.initialized = new Promise((resolve) => {
+      this._resolveInitialized = resolve;
+    });
+    this._pendingScheduleReceived = null;  // { promise, resolve } until the next confirmation
+    
+    this.port.onmessage = (event) => this._handleMessage(event.data);
+  }
+  
+  /**
+   * Promise for the next chunk confirmation - { pulseCount, firstPulseId, done }
+   */
+  get scheduleReceived() {
+    if (!this._pendingScheduleReceived) {
+      let resolve;
+      const promise = new Promise((r) => { resolve = r; });
+      this._pendingScheduleReceived = { promise, resolve };
+    }
+    return this._pendingScheduleReceived.promise;
+  }
+  
+  /**
+   * Resolve promises and re-dispatch a processor message as an event
+   * @private
+   */
+  _handleMessage(data) {
+    switch (data.type) {
+      case 'initialized':
+        this.voiceCount = data.voiceCount;
+        this._resolveInitialized({ voiceCount: data.voiceCount });
+        break;
+      
+      case 'scheduleReceived':
+        if (this._pendingScheduleReceived) {
+          this._pendingScheduleReceived.resolve(data);
+          this._pendingScheduleReceived = null;
+        }
+        break;
+      
+      case 'noFreeVoice':
+        console.warn(`[ISOWorkletNode] No free voice for pulse ${data.pulseId}`);
+        break;
+      
+      case 'error':
+        console.error('[ISOWorkletNode] Processor error:', data.message);
+        break;
+    }
+    
+    this.dispatchEvent(new CustomEvent(data.type, { detail: data }));
+  }
+  
+  /**
+   * Start a chunked stream at the processor's sample 0 (first compileWorkletChunk())
+   * @param {Object} chunk - compileWorkletChunk() result
+   * @returns {Promise} scheduleReceived for this chunk
+   */
+  schedule(chunk) {
+    return this._postChunk('schedule', chunk);
+  }
+  
+  /**
+   * Append the next chunk of a chunked stream (answer to 'needPulses')
+   * @param {Object} chunk - compileWorkletChunk() result
+   * @returns {Promise} scheduleReceived for this chunk
+   */
+  appendPulses(chunk) {
+    return this._postChunk('pulses', chunk);
+  }
+  
+  /**
+   * Queue a timeline.pulse.scheduled window on the AudioContext clock
+   * L/R alternate by pulseIndex, length interval × duty, level = accent
+   * @param {Array} pulses - Window pulses [{ time, interval, pulseIndex, accent, duty }]
+   * @param {number} carrierFrequency - Carrier Hz for the window
+   */
+  postWindow(pulses, carrierFrequency) {
+    if (this.isDisposed || pulses.length === 0) return;
+    
+    const sampleRate = this.context.sampleRate;
+    const count = pulses.length;
+    const chunk = {
+      firstPulseId: pulses[0].pulseIndex,
+      count,
+      samplePosition: new Float64Array(count),
+      durationSamples: new Uint32Array(count),
+      channel: new Uint8Array(count),
+      carrierFrequency: new Float32Array(count),
+      accent: new Float32Array(count)
+    };
+    
+    pulses.forEach((pulse, i) => {
+      chunk.samplePosition[i] = Math.round(pulse.time * sampleRate);
+      chunk.durationSamples[i] = Math.round(pulse.interval * pulse.duty * sampleRate);
+      chunk.channel[i] = pulse.pulseIndex % 2 === 0 ? 0 : 1; // Even pulses left, odd pulses right
+      chunk.carrierFrequency[i] = carrierFrequency;
+      chunk.accent[i] = pulse.accent;
+    });
+    
+    this._post('window', chunk);
+  }
+  
+  /**
+   * Drop queued pulses at or after an AudioContext time (sounding pulses play out)
+   * @param {number} time - AudioContext time (0: everything queued)
+   */
+  cancelFrom(time) {
+    if (this.isDisposed) return;
+    this.port.postMessage({ type: 'cancel', fromSample: Math.round(time * this.context.sampleRate) });
+  }
+  
+  /**
+   * Post a chunk and return the promise for its confirmation
+   * @private
+   */
+  _postChunk(type, chunk) {
+    if (this.isDisposed) return Promise.reject(new Error('ISOWorkletNode: disposed'));
+    
+    const received = this.scheduleReceived;
+    this._post(type, chunk);
+    return received;
+  }
+  
+  /**
+   * Post typed-array pulse data with its buffers transferred (the arrays are detached after)
+   * @private
+   */
+  _post(type, chunk) {
+    const buffers = [chunk.samplePosition, chunk.durationSamples, chunk.channel, chunk.carrierFrequency, chunk.accent]
+      .map(array => array.buffer);
+    this.port.postMessage({ ...chunk, type }, buffers);
+  }
+  
+  /**
+   * Drop the queue, close the port and disconnect
+   */
+  dispose() {
+    if (this.isDisposed) return;
+    
+    this.cancelFrom(0);
+    this.isDisposed = true;
+    this.port.onmessage = null;
+    this.port.close();
+    this.disconnect();
+  }
+}
+
+// Export for use in timeline system
+if (typeof window !== 'undefined') {
+  window.ISOWorkletNode = ISOWorkletNode;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ISOWorkletNode;
+}
\ No newline at end of file
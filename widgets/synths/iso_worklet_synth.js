@@ -0,0 +1,201 @@
+/**
+ * ISO Worklet Synth - Live Pulse Stream to the AudioWorklet
+ * Owns an iso-pulse-processor node and feeds it the timeline's own pulse schedule
+ * 
+ * ARCHITECTURE:
+ * - One ISOWorkletNode (worklets/iso_pulse_processor.js) renders every pulse
+ *   sample-by-sample - no nodes per pulse
+ * - Each lookahead window the timeline's ticker schedules (timeline.pulse.scheduled)
+ *   is packed into typed arrays and transferred to the worklet port, positioned on
+ *   the AudioContext clock
+ * - Withdrawn pulses (timeline.pulse.cancelled) are dropped from the worklet queue,
+ *   so the stream follows live edits, seeks, loops, pause and stop exactly like the
+ *   event-driven ISOSynth
+ * - Alternating L/R by pulseIndex, length interval × duty (isoDuty lane), level = accent
+ * 
+ * TIMELINE INTEGRATION (PulseBandListener):
+ * - Register with timeline.addListener(synth) - prepare() creates the ISOWorkletNode
+ *   (module loaded once per context); the timeline starts, stops and disposes it
+ * - Follows the session envelope (timeline.envelope)
+ * 
+ * USAGE:
+ * ```javascript
+ * const isoWorklet = new ISOWorkletSynth(audioContext);
+ * await timeline.addListener(isoWorklet, { bands: [TimelineBand.PULSE] });
+ * timeline.start();
+ * ```
+ */
+
+class ISOWorkletSynth extends PulseBandListener {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {Object} options - PulseBandListener options, plus:
+   * @param {string} options.moduleUrl - Processor module (default: ISO_WORKLET_MODULE_URL)
+   */
+  constructor(audioContext, options = {}) {
+    super(audioContext, options);
+    
+    this.moduleUrl = options.moduleUrl || ISO_WORKLET_MODULE_URL;
+    this.isRunning = false;
+    this.workletNode = null;
+    this.masterGain = null;
+    this.envelopeGain = null;
+    
+    // Carrier frequency (the actual sine wave pitch) - separate from pulse rate
+    this.carrierFrequency = 440; // Default to A4 (440Hz)
+    
+    this.setupAudioGraph();
+    
+    console.log('ISO Worklet Synth initialized - waiting for prepare()');
+  }
+  
+  /**
+   * Setup output gains (the worklet node joins in prepare())
+   */
+  setupAudioGraph() {
+    // Session envelope gain (timeline fades) after the master volume
+    this.envelopeGain = this.audioContext.createGain();
+    this.envelopeGain.gain.value = 1.0;
+    this.envelopeGain.connect(this.audioContext.destination);
+    
+    // Master gain for overall volume
+    this.masterGain = this.audioContext.createGain();
+    this.masterGain.gain.value = 0.3; // Safe default volume
+    this.masterGain.connect(this.envelopeGain);
+  }
+  
+  /**
+   * Create the worklet node (once) - rejects without AudioWorklet support
+   * @param {JMTimeline} timeline - Registering timeline
+   * @returns {Promise}
+   */
+  async prepare(timeline) {
+    if (this.workletNode) return;
+    
+    this.workletNode = await ISOWorkletNode.create(this.audioContext, { moduleUrl: this.moduleUrl });
+    this.workletNode.connect(this.masterGain);
+    
+    console.log('[AudioWorklet] Pulse processor connected and ready');
+  }
+  
+  /**
+   * Timeline lookahead window - transfer its pulses to the worklet
+   */
+  onPulsesScheduled(pulses) {
+    if (!this.workletNode) return;
+    this.workletNode.postWindow(pulses, this.carrierFrequency);
+  }
+  
+  /**
+   * Timeline withdrew pulses - drop them from the worklet queue
+   */
+  onPulsesCancelled(time) {
+    if (this.workletNode) this.workletNode.cancelFrom(time);
+  }
+  
+  /**
+   * Session envelope - ramp the envelope gain through the timeline's breakpoints
+   */
+  onEnvelopeChanged(value, time, detail) {
+    this.scheduleEnvelope(this.envelopeGain.gain, detail);
+  }
+  
+  /**
+   * Unregistered use ({ timeline } option + startListening()) - follow the transport events
+   */
+  onTimelineStart(detail) {
+    this.start(detail);
+  }
+  
+  onTimelineStop(detail) {
+    this.stop(detail);
+  }
+  
+  /**
+   * Start ISO worklet synth (pulses arrive with their own times)
+   * @param {Object} detail - Lifecycle/event detail
+   */
+  start(detail = {}) {
+    if (this.isRunning) return;
+    
+    this.isRunning = true;
+    console.log('ISO Worklet Synth started - streaming pulse windows');
+  }
+  
+  /**
+   * Stop ISO worklet synth - drop pulses queued after the stop
+   * @param {Object} detail - Lifecycle/event detail - queue cleared from detail.stopTime (default: now)
+   */
+  stop(detail = {}) {
+    if (!this.isRunning) return;
+    
+    this.isRunning = false;
+    if (this.workletNode) {
+      this.workletNode.cancelFrom(Math.max(detail.stopTime ?? 0, this.audioContext.currentTime));
+    }
+    console.log('ISO Worklet Synth stopped');
+  }
+  
+  /**
+   * Set carrier frequency (the actual sine wave pitch) - applies to windows scheduled from now on
+   */
+  setCarrierFrequency(frequency) {
+    this.carrierFrequency = Math.max(20, Math.min(20000, frequency)); // Human hearing range
+    console.log(`ISO Worklet Synth carrier frequency set to: ${this.carrierFrequency}Hz`);
+  }
+  
+  /**
+   * Get current carrier frequency
+   */
+  getCarrierFrequency() {
+    return this.carrierFrequency;
+  }
+  
+  /**
+   * Set master volume (0.0 to 1.0)
+   */
+  setVolume(volume) {
+    if (this.masterGain) {
+      this.masterGain.gain.setValueAtTime(
+        Math.max(0, Math.min(1, volume)),
+        this.audioContext.currentTime
+      );
+    }
+  }
+  
+  /**
+   * Get current volume
+   */
+  getVolume() {
+    return this.masterGain ? this.masterGain.gain.value : 0;
+  }
+  
+  /**
+   * Cleanup - remove timeline handlers and release the worklet node
+   */
+  dispose() {
+    this.stop();
+    
+    // Remove timeline handlers (and leave the timeline's registry)
+    super.dispose();
+    
+    if (this.workletNode) {
+      this.workletNode.dispose();
+      this.workletNode = null;
+    }
+    if (this.masterGain) this.masterGain.disconnect();
+    if (this.envelopeGain) this.envelopeGain.disconnect();
+    
+    console.log('ISO Worklet Synth disposed');
+  }
+}
+
+// Export for use in timeline system
+if (typeof window !== 'undefined') {
+  window.ISOWorkletSynth = ISOWorkletSynth;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ISOWorkletSynth;
+}
\ No newline at end of file
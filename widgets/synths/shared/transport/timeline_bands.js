@@ -0,0 +1,218 @@
+/**
+ * Brainwave Bands
+ * The one Hz → band table shared by the timeline, its listeners and the journeymap UI
+ *
+ * CORE FUNCTIONALITY:
+ * • Each band: { id, name, minHz, maxHz, color, darkColor, description }
+ * • A band covers (minHz, maxHz] - the first band also includes its minHz
+ * • Bands are contiguous; the table's outer edges are the valid Hz range
+ *   (TIMELINE_CONSTANTS.HZ_MIN/HZ_MAX, validateJourney defaults)
+ * • `id` is the journeymap CSS class (.jm-box.plateau.<id>, .jm-box.transition.<from>-<to>);
+ *   colors match the --band-<id>-primary/dark variables in journeymap.css
+ * • Band targets: segments may name a band (and 'low'/'mid'/'high' within it)
+ *   instead of Hz - resolveBandHz() turns them into Hz when a journey is compiled
+ * • No DOM or timeline dependency - loads as a plain script or a module import
+ *
+ * USAGE:
+ * ```javascript
+ * getWaveType(10);                            // 'ALPHA'
+ * resolveBandHz('ALPHA', 'high');             // 11
+ * configureBrainwaveBands({ gammaMaxHz: 100 }); // GAMMA up to 100Hz, HZ_MAX 100
+ * configureBrainwaveBands();                  // Back to the built-in table
+ * ```
+ */
+
+/**
+ * GAMMA upper edge: default and allowed range (Hz)
+ */
+const DEFAULT_GAMMA_MAX_HZ = 40;
+const GAMMA_MAX_RANGE = [40, 100];
+
+/**
+ * Built-in band table
+ */
+const BRAINWAVE_BANDS = [
+  { id: 'delta', name: 'DELTA', minHz: 0.5, maxHz: 4, color: '#1760d6', darkColor: '#0b3d91', description: 'Deep sleep' },
+  { id: 'theta', name: 'THETA', minHz: 4, maxHz: 8, color: '#a46ee6', darkColor: '#6b21a8', description: 'Meditation' },
+  { id: 'alpha', name: 'ALPHA', minHz: 8, maxHz: 12, color: '#33e164', darkColor: '#2aa84f', description: 'Relaxed awareness' },
+  { id: 'smr', name: 'SMR', minHz: 12, maxHz: 15, color: '#e6e75a', darkColor: '#e9da34', description: 'Sensorimotor rhythm' },
+  { id: 'beta', name: 'BETA', minHz: 15, maxHz: 25, color: '#e26521', darkColor: '#d24604', description: 'Active focus' },
+  { id: 'gamma', name: 'GAMMA', minHz: 25, maxHz: DEFAULT_GAMMA_MAX_HZ, color: '#e03f9b', darkColor: '#a3166a', description: 'Peak concentration' }
+];
+
+/**
+ * Where a band target sits within its band
+ */
+const BandLevel = {
+  LOW: 'low',
+  MID: 'mid',
+  HIGH: 'high'
+};
+
+/**
+ * Band levels as fractions of the band's width above minHz
+ */
+const BAND_LEVEL_POSITIONS = {
+  low: 0.25,
+  mid: 0.5,
+  high: 0.75
+};
+
+/**
+ * Wave type for Hz outside every band
+ */
+const UNKNOWN_WAVE_TYPE = 'UNKNOWN';
+
+// Active table - replaced by configureBrainwaveBands()
+let activeBands = BRAINWAVE_BANDS;
+
+/**
+ * Replace the active band table
+ * @param {Object} options
+ * @param {Array} options.bands - Band table (default: built-in table)
+ * @param {number} options.gammaMaxHz - Upper edge of the 'gamma' band, 40-100Hz (default: 40)
+ * @returns {Array} Copy of the new active table
+ * @throws {Error} If the table is empty, has gaps/overlaps or bad fields
+ */
+function configureBrainwaveBands({ bands = BRAINWAVE_BANDS, gammaMaxHz } = {}) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error('BrainwaveBands: bands must be a non-empty array');
+  }
+  const table = bands.map(band => ({ ...band }));
+
+  if (gammaMaxHz !== undefined) {
+    const gamma = table.find(band => band.id === 'gamma');
+    if (!gamma) {
+      throw new Error('BrainwaveBands: gammaMaxHz needs a band with id "gamma"');
+    }
+    if (!Number.isFinite(gammaMaxHz) || gammaMaxHz < GAMMA_MAX_RANGE[0] || gammaMaxHz > GAMMA_MAX_RANGE[1]) {
+      throw new Error(`BrainwaveBands: gammaMaxHz ${gammaMaxHz} outside valid range (${GAMMA_MAX_RANGE[0]}-${GAMMA_MAX_RANGE[1]}Hz)`);
+    }
+    gamma.maxHz = gammaMaxHz;
+  }
+
+  table.forEach((band, i) => {
+    if (typeof band.id !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(band.id)) {
+      throw new Error(`BrainwaveBands: band ${i} id must be a lowercase CSS class name, got ${band.id}`);
+    }
+    if (!(Number.isFinite(band.minHz) && Number.isFinite(band.maxHz) && band.minHz >= 0 && band.minHz < band.maxHz)) {
+      throw new Error(`BrainwaveBands: band "${band.id}" needs 0 <= minHz < maxHz, got ${band.minHz}-${band.maxHz}`);
+    }
+    if (i > 0 && band.minHz !== table[i - 1].maxHz) {
+      throw new Error(`BrainwaveBands: band "${band.id}" starts at ${band.minHz}Hz but "${table[i - 1].id}" ends at ${table[i - 1].maxHz}Hz`);
+    }
+    band.name = band.name ?? band.id.toUpperCase();
+  });
+
+  activeBands = table;
+  return getBrainwaveBands();
+}
+
+/**
+ * Copy of the active band table (ascending Hz)
+ */
+function getBrainwaveBands() {
+  return activeBands.map(band => ({ ...band }));
+}
+
+/**
+ * Band containing a frequency
+ * @param {number} hz - Frequency
+ * @returns {Object|null} Band, or null outside the table
+ */
+function getBrainwaveBand(hz) {
+  const z = Number(hz);
+  if (!Number.isFinite(z)) return null;
+  for (let i = 0; i < activeBands.length; i++) {
+    const band = activeBands[i];
+    if (z <= band.maxHz && (z > band.minHz || (i === 0 && z === band.minHz))) return band;
+  }
+  return null;
+}
+
+/**
+ * Band by name or id, case-insensitive ('ALPHA', 'alpha')
+ * @returns {Object|null} Band, or null if the table has no such band
+ */
+function findBrainwaveBand(name) {
+  if (typeof name !== 'string') return null;
+  const key = name.trim().toLowerCase();
+  return activeBands.find(band => band.id === key || band.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Hz of a band target in the active table, e.g. ('ALPHA', 'high') → 11
+ * @param {string} name - Band name or id
+ * @param {string} level - BandLevel value (default: mid)
+ * @returns {number|null} null for an unknown band or level
+ */
+function resolveBandHz(name, level = BandLevel.MID) {
+  const band = findBrainwaveBand(name);
+  const position = BAND_LEVEL_POSITIONS[level];
+  if (!band || position === undefined) return null;
+  return band.minHz + (band.maxHz - band.minHz) * position;
+}
+
+/**
+ * Band name for a frequency (e.g. 'ALPHA'), 'UNKNOWN' outside the table
+ */
+function getWaveType(hz) {
+  return getBrainwaveBand(hz)?.name ?? UNKNOWN_WAVE_TYPE;
+}
+
+/**
+ * Valid Hz range - the table's outer edges
+ * @returns {Object} { minHz, maxHz }
+ */
+function getBandHzRange() {
+  return { minHz: activeBands[0].minHz, maxHz: activeBands[activeBands.length - 1].maxHz };
+}
+
+/**
+ * Band edges a sweep from fromHz to toHz crosses, in crossing order
+ * (an edge belongs to the band below it: leaving it upwards or reaching it
+ * downwards changes band)
+ * @returns {Array} [{ hz, band }] - band is the one entered at the crossing
+ */
+function getBandCrossings(fromHz, toHz) {
+  const rising = toHz > fromHz;
+  const low = Math.min(fromHz, toHz);
+  const high = Math.max(fromHz, toHz);
+  const crossings = [];
+
+  for (let i = 1; i < activeBands.length; i++) {
+    const edge = activeBands[i].minHz;
+    if (edge < low || edge >= high) continue;
+    crossings.push({ hz: edge, band: rising ? activeBands[i] : activeBands[i - 1] });
+  }
+  return rising ? crossings : crossings.reverse();
+}
+
+// Export for timeline classes and journeymap modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BRAINWAVE_BANDS,
+    BandLevel,
+    UNKNOWN_WAVE_TYPE,
+    configureBrainwaveBands,
+    getBrainwaveBands,
+    getBrainwaveBand,
+    findBrainwaveBand,
+    resolveBandHz,
+    getWaveType,
+    getBandHzRange,
+    getBandCrossings
+  };
+} else if (typeof window !== 'undefined') {
+  window.BRAINWAVE_BANDS = BRAINWAVE_BANDS;
+  window.BandLevel = BandLevel;
+  window.UNKNOWN_WAVE_TYPE = UNKNOWN_WAVE_TYPE;
+  window.configureBrainwaveBands = configureBrainwaveBands;
+  window.getBrainwaveBands = getBrainwaveBands;
+  window.getBrainwaveBand = getBrainwaveBand;
+  window.findBrainwaveBand = findBrainwaveBand;
+  window.resolveBandHz = resolveBandHz;
+  window.getWaveType = getWaveType;
+  window.getBandHzRange = getBandHzRange;
+  window.getBandCrossings = getBandCrossings;
+}
@@ -0,0 +1,223 @@
+/**
+ * TimelineCoordinator - Layered JMTimelines on one master clock
+ *
+ * PURPOSE:
+ * Owns several JMTimeline instances sharing one AudioContext and drives them
+ * together, e.g. a slow theta journey on the binaural layer while a separate
+ * alpha journey drives ISO pulses, or one beat schedule per ear.
+ *
+ * All transport calls hand every layer the same AudioContext time, so layers
+ * stay sample-aligned. Each layer keeps its own event bus - attach listeners
+ * to coordinator.get(name).
+ *
+ * USAGE:
+ * ```javascript
+ * const layers = new TimelineCoordinator(audioContext);
+ * layers.add('binaural', thetaSegments);
+ * layers.add('iso', alphaSegments);
+ * binauralSynth.setTimeline(layers.get('binaural'));
+ * layers.start(audioContext.currentTime + 0.1);
+ * ```
+ */
+
+class TimelineCoordinator {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this._timelines = new Map();
+  }
+
+  // ============================================================================
+  // LAYERS
+  // ============================================================================
+
+  /**
+   * Add a layer
+   * @param {string} name - Layer name
+   * @param {JMTimeline|Array} timeline - Timeline instance, or segments to build one from
+   * @param {Object} options - JMTimeline options when building from segments
+   *                           (documentEvents defaults to false so layers don't cross-talk)
+   * @returns {JMTimeline} The layer's timeline
+   */
+  add(name, timeline, options = {}) {
+    if (this._timelines.has(name)) {
+      throw new Error(`TimelineCoordinator: layer "${name}" already exists`);
+    }
+
+    if (Array.isArray(timeline)) {
+      timeline = new JMTimeline(this.audioContext, timeline, { documentEvents: false, ...options });
+    }
+    if (timeline.audioContext !== this.audioContext) {
+      throw new Error(`TimelineCoordinator: layer "${name}" uses a different AudioContext`);
+    }
+
+    // Join a running group at the group's position
+    const state = this.getState();
+    if (state !== PlaybackState.STOPPED && !timeline.isRunning && !timeline.isPaused) {
+      timeline.seek(this.getPosition());
+      timeline.start();
+      if (state === PlaybackState.PAUSED) timeline.pause();
+    }
+
+    this._timelines.set(name, timeline);
+    return timeline;
+  }
+
+  /**
+   * Remove a layer (stops it; does not dispose it)
+   * @param {string} name - Layer name
+   * @returns {JMTimeline|null} Removed timeline
+   */
+  remove(name) {
+    const timeline = this._timelines.get(name);
+    if (!timeline) return null;
+
+    timeline.stop();
+    this._timelines.delete(name);
+    return timeline;
+  }
+
+  /**
+   * Get a layer's timeline
+   * @param {string} name - Layer name
+   */
+  get(name) {
+    return this._timelines.get(name) || null;
+  }
+
+  /**
+   * Get layer names
+   */
+  getNames() {
+    return [...this._timelines.keys()];
+  }
+
+  // ============================================================================
+  // TRANSPORT CONTROL
+  // ============================================================================
+
+  /**
+   * Start all layers at the same AudioContext time
+   * @param {number} when - AudioContext time to start at (default: now)
+   * @param {number} offset - Position to start from (default: each layer's cue position)
+   */
+  start(when = this.audioContext.currentTime, offset) {
+    const startTime = Math.max(when, this.audioContext.currentTime);
+    for (const timeline of this._timelines.values()) {
+      timeline.start(startTime, offset);
+    }
+  }
+
+  /**
+   * Stop all layers at the same AudioContext time
+   * @param {number} when - AudioContext time to stop at (default: now)
+   */
+  stop(when = this.audioContext.currentTime) {
+    const stopTime = Math.max(when, this.audioContext.currentTime);
+    for (const timeline of this._timelines.values()) {
+      timeline.stop(stopTime);
+    }
+  }
+
+  /**
+   * Pause all layers (same audio time - the clock doesn't advance within one call)
+   */
+  pause() {
+    for (const timeline of this._timelines.values()) {
+      timeline.pause();
+    }
+  }
+
+  /**
+   * Resume all paused layers
+   */
+  resume() {
+    for (const timeline of this._timelines.values()) {
+      timeline.resume();
+    }
+  }
+
+  /**
+   * Seek all layers to the same position
+   * Layers shorter than the position hold at their end
+   * @param {number} seconds - Position in seconds
+   */
+  seek(seconds) {
+    if (!Number.isFinite(seconds)) {
+      throw new Error(`TimelineCoordinator: seek position must be a finite number, got ${seconds}`);
+    }
+    for (const timeline of this._timelines.values()) {
+      timeline.seek(seconds);
+    }
+  }
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  /**
+   * Combined duration - the longest layer
+   */
+  getTotalDuration() {
+    let duration = 0;
+    for (const timeline of this._timelines.values()) {
+      duration = Math.max(duration, timeline.getTotalDuration());
+    }
+    return duration;
+  }
+
+  /**
+   * Group position - the furthest layer (shorter layers stop advancing at their end)
+   */
+  getPosition() {
+    let position = 0;
+    for (const timeline of this._timelines.values()) {
+      position = Math.max(position, timeline.getPosition());
+    }
+    return position;
+  }
+
+  /**
+   * Combined transport state at an audio time (default: now)
+   * STARTED if any layer is started, else PAUSED if any is paused, else STOPPED
+   * @param {number} time - AudioContext time to query
+   * @returns {string} PlaybackState value
+   */
+  getState(time = this.audioContext.currentTime) {
+    let state = PlaybackState.STOPPED;
+    for (const timeline of this._timelines.values()) {
+      const layerState = timeline.getState(time);
+      if (layerState === PlaybackState.STARTED) return PlaybackState.STARTED;
+      if (layerState === PlaybackState.PAUSED) state = PlaybackState.PAUSED;
+    }
+    return state;
+  }
+
+  /**
+   * Per-layer transport state at an audio time (default: now)
+   * @param {number} time - AudioContext time to query
+   * @returns {Object} { [name]: PlaybackState }
+   */
+  getStates(time = this.audioContext.currentTime) {
+    const states = {};
+    for (const [name, timeline] of this._timelines) {
+      states[name] = timeline.getState(time);
+    }
+    return states;
+  }
+
+  /**
+   * Dispose all layers
+   */
+  dispose() {
+    for (const timeline of this._timelines.values()) {
+      timeline.dispose();
+    }
+    this._timelines.clear();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimelineCoordinator };
+} else if (typeof window !== 'undefined') {
+  window.TimelineCoordinator = TimelineCoordinator;
+}
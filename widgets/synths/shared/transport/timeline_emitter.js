@@ -0,0 +1,118 @@
+/**
+ * TimelineEmitter Class
+ * EventTarget-style event bus owned by each timeline instance
+ *
+ * CORE FUNCTIONALITY:
+ * • addEventListener/removeEventListener/dispatchEvent with EventTarget semantics
+ * • Optional handler priority - higher runs first, ties in the order added
+ * • Handlers receive { type, detail, target } - same shape as a CustomEvent
+ * • No DOM dependency (runs in workers, Node, tests)
+ * • Optional bridge that re-dispatches every event on document
+ *
+ * TONE.JS SOURCE: Same role as Tone.js/core/util/Emitter.ts
+ * (Transport extends Emitter so each instance owns its own events)
+ *
+ * USAGE: JMTimeline extends this; TimelineListener subclasses attach to a
+ * timeline instance instead of document, so two timelines never cross-talk
+ */
+
+class TimelineEmitter {
+  constructor(options = {}) {
+    this._handlers = new Map();
+
+    // Re-dispatch on document for listeners still using global events
+    this.documentEvents = options.documentEvents === true;
+  }
+
+  /**
+   * Register handler for event type
+   * Adding the same handler twice has no effect (EventTarget semantics)
+   * @param {string} type - Event type, e.g. 'timeline.hz.changed'
+   * @param {Function} handler - Called with { type, detail, target }
+   * @param {Object} options - { once: true } removes the handler after first call,
+   *                           { priority } orders handlers (higher first, default 0)
+   */
+  addEventListener(type, handler, options = {}) {
+    if (typeof handler !== 'function') return;
+
+    if (!this._handlers.has(type)) {
+      this._handlers.set(type, []);
+    }
+    const entries = this._handlers.get(type);
+    if (entries.some(entry => entry.handler === handler)) return;
+
+    const priority = options.priority ?? 0;
+    const entry = { handler, once: options.once === true, priority };
+    const index = entries.findIndex(other => other.priority < priority);
+    if (index === -1) entries.push(entry);
+    else entries.splice(index, 0, entry);
+  }
+
+  /**
+   * Remove handler for event type
+   * @param {string} type - Event type
+   * @param {Function} handler - Handler passed to addEventListener
+   */
+  removeEventListener(type, handler) {
+    const entries = this._handlers.get(type);
+    if (!entries) return;
+
+    const index = entries.findIndex(entry => entry.handler === handler);
+    if (index !== -1) entries.splice(index, 1);
+    if (entries.length === 0) this._handlers.delete(type);
+  }
+
+  /**
+   * Dispatch event to handlers (and document when bridged)
+   * A throwing handler is logged and does not stop the others
+   * @param {Object|string} event - { type, detail } (e.g. a CustomEvent) or event type
+   * @param {Object} detail - Payload when event is a type string
+   * @returns {boolean} true (events are not cancelable)
+   */
+  dispatchEvent(event, detail = {}) {
+    const timelineEvent = typeof event === 'string'
+      ? { type: event, detail, target: this }
+      : { type: event.type, detail: event.detail, target: this };
+
+    const entries = this._handlers.get(timelineEvent.type);
+    if (entries) {
+      // Copy so handlers can add/remove listeners while dispatching
+      for (const entry of entries.slice()) {
+        if (entry.once) this.removeEventListener(timelineEvent.type, entry.handler);
+        try {
+          entry.handler.call(this, timelineEvent);
+        } catch (error) {
+          console.error(`[TimelineEmitter] ${timelineEvent.type} handler failed:`, error);
+        }
+      }
+    }
+
+    if (this.documentEvents && typeof document !== 'undefined' && typeof CustomEvent !== 'undefined') {
+      document.dispatchEvent(new CustomEvent(timelineEvent.type, { detail: timelineEvent.detail }));
+    }
+
+    return true;
+  }
+
+  /**
+   * Check for handlers of an event type
+   * @param {string} type - Event type
+   */
+  hasEventListener(type) {
+    return this._handlers.has(type);
+  }
+
+  /**
+   * Remove all handlers
+   */
+  dispose() {
+    this._handlers.clear();
+  }
+}
+
+// Export for use by other timeline classes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimelineEmitter };
+} else if (typeof window !== 'undefined') {
+  window.TimelineEmitter = TimelineEmitter;
+}
@@ -3,21 +3,33 @@
  * 
  * PURPOSE:
  * Dual-band scheduling system for binaural beat synthesis.
- * - Wave Band: Continuous Hz automation via Web Audio
- * - Pulse Band: Discrete 32n pulse events for ISO synth
+ * - Wave Band: Continuous Hz automation via Web Audio (plus carrier/volume/crossfade/ISO duty/noise lanes)
+ * - Pulse Band: Discrete pulse events for ISO synth (32n by default, configurable subdivision/accents)
  * 
- * CURRENT SCOPE: Play/Stop only (no pause, no seeking)
+ * CURRENT SCOPE: Play/Stop/Pause/Resume/Seek/Loop/Live editing/Automation lanes/Visual feedback/Session envelope/
+ *                Listener registry
  */
 
 /**
  * Constants
  */
 const TIMELINE_CONSTANTS = {
-  HZ_MIN: 0.5,
-  HZ_MAX: 25.0,
+  // Valid Hz range - the outer edges of the band table (configureBrainwaveBands)
+  get HZ_MIN() { return getBandHzRange().minHz; },
+  get HZ_MAX() { return getBandHzRange().maxHz; },
   AUDIO_LOOKAHEAD: 0.1,  // 100ms lookahead
-  MEMORY_LIMIT: 1000,
-  TICKER_INTERVAL: 32     // 32ms ticker
+  TICKER_INTERVAL: 32,    // 32ms ticker
+  HIDDEN_LOOKAHEAD: 1.5,  // Lookahead floor while the tab is hidden (page timers run ~1/s)
+  MAX_LOOKAHEAD: 3,       // Adaptive lookahead ceiling (seconds)
+  LOOKAHEAD_HEADROOM: 2,  // Lookahead as a multiple of the last tick gap
+  LOOKAHEAD_DECAY: 0.95,  // Per-tick shrink factor once ticks are regular again
+  EVENT_HISTORY: 1,       // Seconds of dispatched wave/pulse entries kept after they are heard
+  CURVE_POINTS_PER_SECOND: 20,  // setValueCurveAtTime resolution
+  CURVE_MAX_POINTS: 4096,
+  DEFAULT_STEPS: 4,       // Step count for 'step' transitions
+  DEFAULT_SUBDIVISION: '32n',
+  WORKLET_CHUNK_SECONDS: 10, // Journey seconds per streamed worklet chunk
+  GRACEFUL_STOP_SECONDS: 5   // Default stopGracefully() fade/glide length
 };
 
 /**
@@ -28,78 +40,551 @@ const SegmentType = {
   TRANSITION: 'transition'
 };
 
+/**
+ * Transition curve shapes
+ * Input: segment.transitionType (index.html) or segment.envelope_type (presets)
+ */
+const TransitionCurve = {
+  LINEAR: 'linear',
+  EXPONENTIAL: 'exponential',
+  LOGARITHMIC: 'logarithmic',
+  EASE_IN_OUT: 'ease-in-out',
+  STEP: 'step'
+};
+
+/**
+ * Accepted spellings for transition curves
+ */
+const TRANSITION_CURVE_ALIASES = {
+  exp: TransitionCurve.EXPONENTIAL,
+  log: TransitionCurve.LOGARITHMIC,
+  'ease_in_out': TransitionCurve.EASE_IN_OUT,
+  easeinout: TransitionCurve.EASE_IN_OUT,
+  's-curve': TransitionCurve.EASE_IN_OUT,
+  scurve: TransitionCurve.EASE_IN_OUT,
+  stepped: TransitionCurve.STEP
+};
+
+/**
+ * Pulse subdivisions - pulses per beat cycle (1/Hz)
+ * 32n (2 per cycle) is the original ISO pulse rate; triplets fit 3 in the space of 2,
+ * dotted notes are 1.5x as long. A number is used as a custom ratio.
+ */
+const PulseSubdivision = {
+  '4n': 0.25,
+  '8n': 0.5,
+  '16n': 1,
+  '32n': 2,
+  '64n': 4,
+  '4t': 0.375,
+  '8t': 0.75,
+  '16t': 1.5,
+  '32t': 3,
+  '4n.': 1 / 6,
+  '8n.': 1 / 3,
+  '16n.': 2 / 3,
+  '32n.': 4 / 3
+};
+
+/**
+ * Automation lanes - parameters automated alongside Hz
+ * Segments set them in `lanes`, e.g. { lanes: { carrier: 150, noise: 0.3 } }, with the
+ * same semantics as Hz: plateaus hold (unset lanes carry over), transitions ramp to the
+ * next plateau's value along the transition curve
+ */
+const AutomationLane = {
+  HZ: 'hz',               // Beat frequency - the journey itself (hz/startHz/endHz)
+  CARRIER: 'carrier',     // Carrier frequency (Hz)
+  VOLUME: 'volume',       // Master volume (0-1)
+  CROSSFADE: 'crossfade', // Binaural/ISO mix (0 = binaural only, 1 = ISO only)
+  ISO_DUTY: 'isoDuty',    // ISO tone length as a fraction of the pulse interval
+  NOISE: 'noise'          // Noise level (0-1)
+};
+
+/**
+ * Lane values before any segment sets them (override with options.lanes)
+ */
+const LANE_DEFAULTS = {
+  carrier: 110,
+  volume: 1,
+  crossfade: 0.5,
+  isoDuty: 0.8,
+  noise: 0
+};
+
+/**
+ * Timeline bands - event groups a registered listener can subscribe to (addListener bands option)
+ * Transport and envelope events always reach every listener
+ */
+const TimelineBand = {
+  WAVE: 'wave',   // Hz, transitions, wave type and automation lanes
+  PULSE: 'pulse'  // Pulse triggers and flashes
+};
+
 /**
  * Event types
  */
 const TimelineEvents = {
   STARTED: 'timeline.started',
   STOPPED: 'timeline.stopped',
+  PAUSED: 'timeline.paused',
+  RESUMED: 'timeline.resumed',
   HZ_CHANGED: 'timeline.hz.changed',
   PULSE_32N: 'timeline.pulse.32n',
+  PULSE_SCHEDULED: 'timeline.pulse.scheduled',  // Lookahead window of pulses, dispatched as soon as scheduled
+  PULSE_CANCELLED: 'timeline.pulse.cancelled',  // Scheduled pulses from detail.time on withdrawn (pause, stop, seek, edit, loop)
+  WAVE_SCHEDULED: 'timeline.wave.scheduled',    // Hz/transition/lane events of a segment entry, dispatched as soon as scheduled
+  WAVE_CANCELLED: 'timeline.wave.cancelled',    // Scheduled wave events from detail.time on withdrawn (pause, stop, seek, edit, loop)
   SEGMENT_CHANGED: 'timeline.segment.changed',
   TRANSITION_START: 'timeline.transition.start',
-  TRANSITION_END: 'timeline.transition.end'
+  TRANSITION_END: 'timeline.transition.end',
+  LOOP: 'timeline.loop',
+  EDITED: 'timeline.edited',
+  LANE_CHANGED: 'timeline.lane',  // Prefix - dispatched per lane, e.g. 'timeline.lane.noise'
+  HZ_VISUAL: 'timeline.hz.visual',      // Every animation frame while running (UI only)
+  PULSE_FLASH: 'timeline.pulse.flash',  // Animation frame a pulse becomes audible (UI only)
+  ENVELOPE: 'timeline.envelope',        // Session envelope (fades, graceful stop) from an audio time on
+  STOPPING: 'timeline.stopping',        // stopGracefully() began - Hz glides to rest, envelope to 0
+  WAVE_TYPE_CHANGED: 'timeline.wave_type.changed'  // Hz moved into another brainwave band (timeline_bands.js)
 };
 
 /**
- * Helper functions
+ * Helper functions (getWaveType / band table: timeline_bands.js)
+ */
+
+/**
+ * Event type for one automation lane, e.g. 'timeline.lane.noise'
+ */
+function getLaneEventType(lane) {
+  return `${TimelineEvents.LANE_CHANGED}.${lane}`;
+}
+
+function calculatePulseInterval(hz, ratio = PulseSubdivision[TIMELINE_CONSTANTS.DEFAULT_SUBDIVISION]) {
+  return 1 / (hz * ratio);
+}
+
+/**
+ * Resolve subdivision name or custom ratio to pulses per beat cycle (unknown → 32n)
+ */
+function resolveSubdivision(subdivision) {
+  if (typeof subdivision === 'number' && subdivision > 0 && Number.isFinite(subdivision)) {
+    return subdivision;
+  }
+  
+  const ratio = PulseSubdivision[String(subdivision).trim()];
+  if (ratio) return ratio;
+  
+  console.warn(`[JMTimeline] Unknown pulse subdivision "${subdivision}" - using ${TIMELINE_CONSTANTS.DEFAULT_SUBDIVISION}`);
+  return PulseSubdivision[TIMELINE_CONSTANTS.DEFAULT_SUBDIVISION];
+}
+
+/**
+ * Normalize accent pattern - array of per-pulse levels (0-1), repeated
+ * e.g. [1, 0.5, 0.5, 0.5] = every 4th pulse louder. Invalid/missing → null (all pulses 1)
+ */
+function normalizeAccentPattern(pattern) {
+  if (pattern == null) return null;
+  
+  if (!Array.isArray(pattern) || pattern.length === 0 || !pattern.every(level => Number.isFinite(level) && level >= 0)) {
+    console.warn('[JMTimeline] Accent pattern must be a non-empty array of levels >= 0 - ignoring', pattern);
+    return null;
+  }
+  
+  return pattern.map(level => Math.min(1, level));
+}
+
+/**
+ * Accent level for the Nth pulse (counted from journey start)
+ */
+function getPulseAccent(pattern, pulseIndex) {
+  if (!pattern) return 1;
+  return pattern[pulseIndex % pattern.length];
+}
+
+/**
+ * Normalize transition curve name (unknown/missing → linear)
+ */
+function normalizeTransitionCurve(type) {
+  if (!type) return TransitionCurve.LINEAR;
+  const key = String(type).toLowerCase();
+  if (Object.values(TransitionCurve).includes(key)) return key;
+  if (TRANSITION_CURVE_ALIASES[key]) return TRANSITION_CURVE_ALIASES[key];
+  
+  console.warn(`[JMTimeline] Unknown transition curve "${type}" - using linear`);
+  return TransitionCurve.LINEAR;
+}
+
+/**
+ * Interpolate Hz along a transition curve
+ * Single source of truth for Hz automation, pulse timing and worklet compile
+ * 
+ * @param {string} curve - TransitionCurve value
+ * @param {number} startHz - Hz at progress 0
+ * @param {number} endHz - Hz at progress 1
+ * @param {number} progress - Transition progress (0-1)
+ * @param {number} steps - Step count for 'step' curves
+ * @returns {number} Hz at progress
+ */
+function interpolateHz(curve, startHz, endHz, progress, steps = TIMELINE_CONSTANTS.DEFAULT_STEPS) {
+  const p = Math.max(0, Math.min(1, progress));
+  const delta = endHz - startHz;
+  
+  switch (curve) {
+    case TransitionCurve.EXPONENTIAL:
+      // Geometric - matches exponentialRampToValueAtTime
+      if (startHz <= 0 || endHz <= 0) return startHz + delta * p;
+      return startHz * Math.pow(endHz / startHz, p);
+      
+    case TransitionCurve.LOGARITHMIC:
+      // Exponential reflected through the linear ramp (opposite bend)
+      if (startHz <= 0 || endHz <= 0) return startHz + delta * p;
+      return startHz + endHz - startHz * Math.pow(endHz / startHz, 1 - p);
+      
+    case TransitionCurve.EASE_IN_OUT:
+      // Raised-cosine S-curve
+      return startHz + delta * (1 - Math.cos(Math.PI * p)) / 2;
+      
+    case TransitionCurve.STEP: {
+      // Staircase: `steps` equal holds from startHz to endHz
+      const level = Math.min(1, Math.floor(p * steps) / Math.max(1, steps - 1));
+      return startHz + delta * level;
+    }
+      
+    default:
+      return startHz + delta * p;
+  }
+}
+
+/**
+ * Integrate Hz along a transition curve - beat cycles elapsed after `elapsed` seconds
+ * Closed form of interpolateHz for every curve, so pulse timing carries no step error
+ * 
+ * @param {string} curve - TransitionCurve value
+ * @param {number} startHz - Hz at progress 0
+ * @param {number} endHz - Hz at progress 1
+ * @param {number} duration - Transition length in seconds
+ * @param {number} elapsed - Seconds into the transition (0-duration)
+ * @param {number} steps - Step count for 'step' curves
+ * @returns {number} Beat cycles from transition start
+ */
+function integrateHz(curve, startHz, endHz, duration, elapsed, steps = TIMELINE_CONSTANTS.DEFAULT_STEPS) {
+  const u = Math.max(0, Math.min(duration, elapsed));
+  const p = duration > 0 ? u / duration : 1;
+  const delta = endHz - startHz;
+  const linear = startHz * u + delta * u * p / 2;
+  const logRatio = startHz > 0 && endHz > 0 ? Math.log(endHz / startHz) : 0;
+  
+  switch (curve) {
+    case TransitionCurve.EXPONENTIAL:
+      if (logRatio === 0) return linear;
+      return startHz * duration * (Math.pow(endHz / startHz, p) - 1) / logRatio;
+      
+    case TransitionCurve.LOGARITHMIC:
+      if (logRatio === 0) return linear;
+      return (startHz + endHz) * u - endHz * duration * (1 - Math.pow(endHz / startHz, -p)) / logRatio;
+      
+    case TransitionCurve.EASE_IN_OUT:
+      return startHz * u + delta / 2 * (u - duration / Math.PI * Math.sin(Math.PI * p));
+      
+    case TransitionCurve.STEP: {
+      // Whole steps held so far, plus the part of the current one
+      const stepLength = duration / steps;
+      const current = Math.min(steps - 1, Math.floor(p * steps));
+      const levelHz = (step) => startHz + delta * Math.min(1, step / Math.max(1, steps - 1));
+      let cycles = 0;
+      for (let step = 0; step < current; step++) cycles += levelHz(step) * stepLength;
+      return cycles + levelHz(current) * (u - current * stepLength);
+    }
+      
+    default:
+      return linear;
+  }
+}
+
+/**
+ * Invert integrateHz - seconds into a transition at which `cycles` beat cycles have elapsed
+ * Newton's method (Hz is the integral's slope), kept inside a shrinking bisection bracket
+ * 
+ * @param {string} curve - TransitionCurve value
+ * @param {number} startHz - Hz at progress 0
+ * @param {number} endHz - Hz at progress 1
+ * @param {number} duration - Transition length in seconds
+ * @param {number} cycles - Beat cycles from transition start
+ * @param {number} steps - Step count for 'step' curves
+ * @returns {number} Seconds into the transition (0-duration)
+ */
+function solveHzIntegral(curve, startHz, endHz, duration, cycles, steps = TIMELINE_CONSTANTS.DEFAULT_STEPS) {
+  let low = 0;
+  let high = duration;
+  let u = Math.min(duration, Math.max(0, cycles / Math.max(startHz, endHz)));
+  
+  for (let i = 0; i < 100 && high - low > duration * 1e-14; i++) {
+    const error = integrateHz(curve, startHz, endHz, duration, u, steps) - cycles;
+    if (Math.abs(error) < 1e-12) break;
+    if (error > 0) high = u; else low = u;
+    
+    const next = u - error / interpolateHz(curve, startHz, endHz, u / duration, steps);
+    u = next > low && next < high ? next : (low + high) / 2;
+  }
+  return u;
+}
+
+/**
+ * AudioParam helpers - value curves that can be cancelled mid-way in every browser
  */
-function getWaveType(hz) {
-  if (hz >= 0.5 && hz <= 4) return "DELTA";
-  if (hz > 4 && hz <= 8) return "THETA";
-  if (hz > 8 && hz <= 12) return "ALPHA";
-  if (hz > 12 && hz <= 15) return "SMR";
-  if (hz > 15 && hz <= 25) return "BETA";
-  return "UNKNOWN";
+
+// Curves scheduled through setParamValueCurve() where cancelAndHoldAtTime is missing:
+// AudioParam → [{ startTime, duration, values }]
+const scheduledValueCurves = new WeakMap();
+
+/**
+ * setValueCurveAtTime, remembered for cancelAndHoldParam() where the browser can't cut curves
+ * @param {AudioParam} param
+ * @param {Float32Array} values - Curve points
+ * @param {number} startTime - Audio time the curve starts
+ * @param {number} duration - Curve length in seconds
+ */
+function setParamValueCurve(param, values, startTime, duration) {
+  param.setValueCurveAtTime(values, startTime, duration);
+  if (typeof param.cancelAndHoldAtTime === 'function') return;
+  
+  const curves = scheduledValueCurves.get(param) || [];
+  curves.push({ startTime, duration, values });
+  scheduledValueCurves.set(param, curves);
+}
+
+/**
+ * Value of a scheduled curve at an audio time (linear between points, like Web Audio)
+ */
+function getValueCurveAt({ startTime, duration, values }, time) {
+  const position = Math.max(0, Math.min(1, (time - startTime) / duration)) * (values.length - 1);
+  const index = Math.min(Math.floor(position), values.length - 2);
+  return values[index] + (values[index + 1] - values[index]) * (position - index);
 }
 
-function calculate32nInterval(hz) {
-  return .5 / hz;
+/**
+ * Cancel a param's automation from an audio time on - callers then set the value at that time
+ * cancelAndHoldAtTime where available. Without it (Firefox) cancelScheduledValues(time) leaves a
+ * value curve running at `time` in place and the next event inside it throws NotSupportedError,
+ * so that curve is cancelled from its start and its part up to `time` scheduled again from now.
+ * @param {AudioParam} param
+ * @param {number} time - Audio time to cancel from
+ * @param {number} now - AudioContext currentTime
+ */
+function cancelAndHoldParam(param, time, now) {
+  if (typeof param.cancelAndHoldAtTime === 'function') {
+    param.cancelAndHoldAtTime(time);
+    return;
+  }
+  
+  // Curves still sounding that the cancel doesn't remove
+  const curves = (scheduledValueCurves.get(param) || [])
+    .filter(curve => curve.startTime < time && curve.startTime + curve.duration > now);
+  const running = curves.find(curve => time < curve.startTime + curve.duration);
+  if (!running) {
+    param.cancelScheduledValues(time);
+    scheduledValueCurves.set(param, curves);
+    return;
+  }
+  
+  param.cancelScheduledValues(running.startTime);
+  const kept = curves.filter(curve => curve.startTime < running.startTime);
+  const from = Math.max(running.startTime, now);
+  if (time > from) {
+    const pointCount = Math.min(
+      TIMELINE_CONSTANTS.CURVE_MAX_POINTS,
+      Math.max(2, Math.ceil((time - from) * TIMELINE_CONSTANTS.CURVE_POINTS_PER_SECOND))
+    );
+    const values = new Float32Array(pointCount);
+    for (let i = 0; i < pointCount; i++) {
+      values[i] = getValueCurveAt(running, from + (time - from) * i / (pointCount - 1));
+    }
+    param.setValueCurveAtTime(values, from, time - from);
+    kept.push({ startTime: from, duration: time - from, values });
+  }
+  scheduledValueCurves.set(param, kept);
 }
 
 /**
  * JMTimeline - Main timeline engine
+ * Each instance is its own event bus (TimelineEmitter) - listeners attach to the
+ * timeline, not to document
+ * 
+ * OPTIONS:
+ * • documentEvents (default: true) - Also dispatch every event on document (legacy listeners)
+ * • subdivision (default: '32n') - Pulse subdivision for segments without their own
+ *     ('8n', '16n', '32n', '16t', '16n.', ... or a number = pulses per beat cycle)
+ * • accentPattern (default: none) - Per-pulse levels for segments without their own, e.g. [1, 0.5, 0.5, 0.5]
+ * • lanes (default: LANE_DEFAULTS) - Automation lane values before a segment sets them, e.g. { carrier: 200 }
+ * • visualFeedback (default: true) - Run the requestAnimationFrame loop (timeline.hz.visual / timeline.pulse.flash)
+ * • latencyCompensation (default: true) - Dispatch events and draw visuals when their audio is heard, not rendered
+ * • outputLatency (default: measured) - Seconds from render to speaker, overriding baseLatency + outputLatency
+ * • ticker (default: 'worker') - Scheduler clock: 'worker' keeps ticking in background tabs,
+ *     'timeout' uses page setTimeout (TickerType - worker falls back to timeout where unavailable)
+ * • fadeIn (default: 0) - Seconds the session envelope takes to rise from 0 at start()
+ * • fadeOut (default: 0) - Seconds before the journey end the session envelope starts falling to 0
+ * • restingHz (default: hold) - Hz stopGracefully() glides to; unset keeps the Hz reached
  */
-class JMTimeline {
-  constructor(audioContext, segments = []) {
+class JMTimeline extends TimelineEmitter {
+  constructor(audioContext, segments = [], options = {}) {
+    super({ documentEvents: options.documentEvents !== false });
+    
     this.audioContext = audioContext;
     this.segments = segments;
+    this.subdivision = options.subdivision ?? TIMELINE_CONSTANTS.DEFAULT_SUBDIVISION;
+    this.accentPattern = options.accentPattern || null;
+    this.laneDefaults = this._resolveLaneDefaults(options.lanes);
+    this.fadeIn = this._checkFadeLength('fadeIn', options.fadeIn ?? 0);
+    this.fadeOut = this._checkFadeLength('fadeOut', options.fadeOut ?? 0);
+    this.restingHz = options.restingHz == null ? null : this._checkRestingHz(options.restingHz);
+    this._validateSegments(segments);
     this.compiledTimeline = this._compile(segments);
     this.isRunning = false;
+    this.isPaused = false;
     
     // Timing
-    this.startTime = null;
+    this.startTime = null;          // Audio time of timeline position 0
+    this._playStartTime = null;     // Audio time playback (re)started - may be in the future
+    this._scheduledStop = null;     // Pending future stop { time, timeoutId }
     this.currentSegmentIndex = 0;
+    this.currentWaveType = null;    // Band name last announced by WAVE_TYPE_CHANGED
+    
+    // Pause/seek state (journey offsets in seconds from timeline start)
+    this._cuePosition = 0;
+    this._pausedPosition = 0;
+    this._pausedPulsePhase = 0;
+    this._pausedPulseIndex = 0;
+    this._pauseTime = 0;            // Audio time of the last pause()
+    
+    // Loop region (null = play through)
+    this._loop = null;              // { start, end, count } in journey seconds
+    this._loopWraps = 0;            // Jumps back to loop start made this run
+    this._pendingWrap = null;       // Wrap armed in the lookahead window but not yet reached
+    
+    // Registered listeners { listener, priority, bands, enabled, prepared } - highest priority first
+    this._listeners = [];
+    
+    // Transport state tracking (started/stopped/paused)
+    this._stateTimeline = new StateTimeline(PlaybackState.STOPPED, { memory: 100 });
     
     // Event storage
-    this._waveEvents = new Timeline({ memory: TIMELINE_CONSTANTS.MEMORY_LIMIT, increasing: true });
-    this._pulseEvents = new Timeline({ memory: TIMELINE_CONSTANTS.MEMORY_LIMIT / 2, increasing: true });
-    this._segmentEvents = new Timeline({ memory: 100, increasing: true });
+    // Uncapped - a memory limit evicts the oldest entries, dispatched or not (a 3s lookahead
+    // at gamma pulse rates outgrows any fixed cap); the ticker prunes heard ones instead
+    this._waveEvents = new Timeline({ memory: Infinity, increasing: true });
+    this._pulseEvents = new Timeline({ memory: Infinity, increasing: true });
+    // Whole journey queued at once - uncapped, a memory limit would evict the upcoming entries
+    this._segmentEvents = new Timeline({ memory: Infinity, increasing: true });
+    this._dueCursor = 0;  // Audio time the ticker has delivered overdue heard-time events up to
+    
+    // Virtual parameters for Web Audio automation - Hz plus one per automation lane
+    this._laneSources = this._createLaneSources();
+    this._virtualHzParam = this._laneSources[AutomationLane.HZ].offset;
     
-    // Virtual Hz parameter for Web Audio automation
-    this._virtualHzParam = this._createVirtualHzParam();
+    // Session envelope (0-1) - fades and graceful stop, applied on top of the volume lane
+    this._envelopeSource = this.audioContext.createConstantSource();
+    this._envelopeSource.start();
+    this._fadeInStart = 0;          // Audio time the current fade-in started
+    this._gracefulStop = null;      // { time, stopTime, fromHz, toHz } while stopGracefully() runs
+    
+    // Segment tracking state (audio time the ticker has dispatched segment events up to)
+    this._segmentCursor = 0;
     
     // Pulse scheduling state
     this._scheduledPulseKeys = new Set();
     this._nextPulseTime = null;
+    this._nextPulsePhase = 0;       // Phase the next pulse lands on (running count - see below)
+    this._nextPulseIndex = 0;       // Pulse number from journey start (accent pattern step)
+    this._pulsePhaseOffset = 0;     // Running pulse phase minus journey phase (grows with loop passes and edits)
     this._lastScheduledPulseTime = 0;
     
-    // Ticker
-    this._tickerId = null;
+    // Ticker (lookahead grows when ticks arrive late - see _adaptLookahead)
+    this._ticker = new TimelineTicker(() => this._tick(), TIMELINE_CONSTANTS.TICKER_INTERVAL, options.ticker);
     this._tickerLookahead = TIMELINE_CONSTANTS.AUDIO_LOOKAHEAD;
+    this._lastTickTime = null;
+    
+    // Output latency model (events and visuals line up with what is heard)
+    this.latencyCompensation = options.latencyCompensation !== false;
+    this.outputLatency = options.outputLatency ?? null;
+    
+    // Visual loop (animation frames - paused while the tab is hidden)
+    this.visualFeedback = options.visualFeedback !== false;
+    this._visualFrameId = null;
+    this._lastFlashedPulse = null;
+    
+    // Tab visibility: stop drawing when hidden, and fill the longer hidden lookahead right away
+    this._onVisibilityChange = () => {
+      if (document.hidden) {
+        this._stopVisualLoop();
+        if (this.isRunning) this._tick();
+      } else if (this.isRunning) {
+        this._startVisualLoop();
+      }
+    };
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+  }
+
+  /**
+   * Create one running ConstantSource per lane - its offset is the lane's virtual parameter
+   */
+  _createLaneSources() {
+    const sources = {};
+    for (const lane of Object.values(AutomationLane)) {
+      const constantSource = this.audioContext.createConstantSource();
+      if (lane !== AutomationLane.HZ) constantSource.offset.value = this.laneDefaults[lane];
+      constantSource.start();
+      sources[lane] = constantSource;
+    }
+    return sources;
+  }
+
+  /**
+   * Merge lane start values over LANE_DEFAULTS
+   * @param {Object} lanes - { [lane]: value }
+   */
+  _resolveLaneDefaults(lanes = {}) {
+    Object.keys(lanes).forEach(lane => this._checkLane(lane));
+    return { ...LANE_DEFAULTS, ...lanes };
+  }
+
+  /**
+   * Throw for an unknown lane name
+   * @param {string} lane - Lane name
+   * @param {boolean} allowHz - Accept 'hz' (the journey's own lane)
+   */
+  _checkLane(lane, allowHz = false) {
+    if (lane in LANE_DEFAULTS || (allowHz && lane === AutomationLane.HZ)) return;
+    throw new Error(`JMTimeline: unknown automation lane "${lane}"`);
   }
 
   /**
-   * Create virtual Hz parameter for automation
+   * Validate input segments (timeline format) - throws on errors, logs warnings
+   * Runs before anything is compiled so a rejected journey or edit changes nothing
+   * @param {Array} segments - Input segments
+   * @throws {Error} With .validation = validateJourney() result
    */
-  _createVirtualHzParam() {
-    const constantSource = this.audioContext.createConstantSource();
-    constantSource.start();
-    return constantSource.offset;
+  _validateSegments(segments) {
+    const result = validateJourney(segments, {
+      hzMin: TIMELINE_CONSTANTS.HZ_MIN,
+      hzMax: TIMELINE_CONSTANTS.HZ_MAX,
+      allowEmpty: true,
+      requireTransitionHz: true
+    });
+    
+    result.warnings.forEach(warning => console.warn(`[JMTimeline] ${warning.message}`));
+    
+    if (!result.valid) {
+      const error = new Error(`JMTimeline: invalid journey\n${formatValidationErrors(result)}`);
+      error.validation = result;
+      throw error;
+    }
   }
 
   /**
    * Compile segments into timeline
+   * Band targets (band/fromBand/toBand + level) resolve to Hz against the band table here,
+   * so a journey written in bands follows configureBrainwaveBands() whenever it is compiled
    */
   _compile(segments) {
     const compiled = [];
@@ -109,52 +594,154 @@ class JMTimeline {
 
     for (let i = 0; i < segments.length; i++) {
       const seg = segments[i];
+      // Any duration field validateJourney accepts (durationSeconds, duration_seconds, duration_min)
+      const duration = getSegmentDuration(seg).seconds;
+      
+      // Pulse band settings - segment overrides timeline defaults
+      const subdivision = seg.subdivision ?? this.subdivision;
+      const pulse = {
+        subdivision,
+        pulseRatio: resolveSubdivision(subdivision),
+        accentPattern: normalizeAccentPattern(seg.accentPattern ?? this.accentPattern)
+      };
       
       if (seg.type === 'plateau') {
+        const hz = seg.hz ?? resolveBandHz(seg.band, seg.bandLevel);
         compiled.push({
           time: absoluteTime,
-          hz: seg.hz,
+          hz,
           type: 'plateau',
-          duration: seg.durationSeconds,
-          index: i
+          duration,
+          index: i,
+          ...pulse
         });
-        absoluteTime += seg.durationSeconds;
-        console.log(`Segment ${i}: PLATEAU hz=${seg.hz}, duration=${seg.durationSeconds}`);
+        absoluteTime += duration;
+        console.log(`Segment ${i}: PLATEAU hz=${hz}, duration=${duration}`);
         
       } else if (seg.type === 'transition') {
-        // Transition segments already have startHz and endHz in the input
+        // Hz or band targets; "to a band" without a start continues from the previous segment
+        const previous = compiled[compiled.length - 1];
+        const startHz = seg.startHz ?? (seg.fromBand !== undefined
+          ? resolveBandHz(seg.fromBand, seg.fromBandLevel)
+          : previous?.endHz ?? previous?.hz);
+        const endHz = seg.endHz ?? resolveBandHz(seg.toBand, seg.toBandLevel);
         compiled.push({
           time: absoluteTime,
-          startHz: seg.startHz,
-          endHz: seg.endHz,
+          startHz,
+          endHz,
           type: 'transition',
-          duration: seg.durationSeconds,
-          index: i
+          curve: normalizeTransitionCurve(seg.transitionType || seg.envelope_type),
+          steps: seg.steps || TIMELINE_CONSTANTS.DEFAULT_STEPS,
+          duration,
+          index: i,
+          ...pulse
         });
-        absoluteTime += seg.durationSeconds;
-        console.log(`Segment ${i}: TRANSITION startHz=${seg.startHz}, endHz=${seg.endHz}, duration=${seg.durationSeconds}`);
+        absoluteTime += duration;
+        console.log(`Segment ${i}: TRANSITION startHz=${startHz}, endHz=${endHz}, duration=${duration}, curve=${compiled[compiled.length - 1].curve}`);
       }
     }
+    
+    this._compileLanes(segments, compiled);
+    this._compilePulsePhase(compiled);
 
     console.log('✅ COMPILED TIMELINE:', compiled);
     return compiled;
   }
 
+  /**
+   * Resolve automation lane values for compiled segments
+   * Plateaus hold their own value or carry the previous one over; transitions ramp
+   * from the previous value to their own value, else the next plateau's
+   * @param {Array} segments - Input segments
+   * @param {Array} compiled - Compiled segments - gets lanes: { [lane]: { start, end } }
+   */
+  _compileLanes(segments, compiled) {
+    const current = { ...this.laneDefaults };
+    
+    for (const segment of compiled) {
+      const lanes = segments[segment.index].lanes || {};
+      const next = segments[segment.index + 1];
+      segment.lanes = {};
+      
+      for (const lane of Object.keys(LANE_DEFAULTS)) {
+        if (segment.type === 'plateau') {
+          const value = lanes[lane] ?? current[lane];
+          segment.lanes[lane] = { start: value, end: value };
+        } else {
+          const nextPlateauValue = next?.type === 'plateau' ? next.lanes?.[lane] : undefined;
+          segment.lanes[lane] = { start: current[lane], end: lanes[lane] ?? nextPlateauValue ?? current[lane] };
+        }
+        current[lane] = segment.lanes[lane].end;
+      }
+    }
+  }
+
+  /**
+   * Accumulate pulse phase (pulses elapsed since journey start) at each segment start
+   * Pulse N lands where the phase crosses N, on the ticker and in compileForWorklet alike
+   * @param {Array} compiled - Compiled segments - gets pulsePhase and pulseCount
+   */
+  _compilePulsePhase(compiled) {
+    let phase = 0;
+    
+    for (const segment of compiled) {
+      segment.pulsePhase = phase;
+      segment.pulseCount = this._getSegmentCycles(segment, segment.duration) * segment.pulseRatio;
+      phase += segment.pulseCount;
+    }
+  }
+
+  /**
+   * Beat cycles elapsed `elapsed` seconds into a compiled segment
+   */
+  _getSegmentCycles(segment, elapsed) {
+    if (segment.type === 'plateau') return segment.hz * elapsed;
+    return integrateHz(segment.curve, segment.startHz, segment.endHz, segment.duration, elapsed, segment.steps);
+  }
+
+  /**
+   * Get a segment's start/end value on a lane ('hz' reads the journey's Hz)
+   * @returns {Object} { start, end }
+   */
+  _getLaneEndpoints(segment, lane) {
+    if (lane !== AutomationLane.HZ) return segment.lanes[lane];
+    return segment.type === 'plateau'
+      ? { start: segment.hz, end: segment.hz }
+      : { start: segment.startHz, end: segment.endHz };
+  }
+
+  /**
+   * Get a lane's value at timeline position (transitions follow their curve)
+   * @param {string} lane - AutomationLane value
+   * @param {number} timelinePos - Timeline position in seconds
+   */
+  _getLaneValueAtTime(lane, timelinePos) {
+    if (lane === AutomationLane.HZ) return this._getHzAtTime(timelinePos);
+    
+    const segment = this._findSegmentAtTime(timelinePos);
+    if (!segment) return this.laneDefaults[lane];
+    
+    const { start, end } = segment.lanes[lane];
+    if (segment.type === 'plateau' || start === end) return start;
+    
+    const progress = Math.min(1, Math.max(0, (timelinePos - segment.time) / segment.duration));
+    return interpolateHz(segment.curve, start, end, progress, segment.steps);
+  }
+
   /**
    * Get Hz at specific timeline position (with interpolation for transitions)
+   * @returns {number|null} null for an empty journey
    */
   _getHzAtTime(timelinePos) {
     const segment = this._findSegmentAtTime(timelinePos);
-    if (!segment) return this.compiledTimeline[0]?.hz || 5.0;
+    if (!segment) return null;
 
     if (segment.type === 'plateau') {
       return segment.hz;
-    } else if (segment.type === 'transition') {
-      const progress = (timelinePos - segment.time) / segment.duration;
-      return segment.startHz + (segment.endHz - segment.startHz) * progress;
     }
 
-    return 5.0;
+    const progress = Math.min(1, Math.max(0, (timelinePos - segment.time) / segment.duration));
+    return interpolateHz(segment.curve, segment.startHz, segment.endHz, progress, segment.steps);
   }
 
   /**
@@ -170,186 +757,1787 @@ class JMTimeline {
   }
 
   /**
-   * Calculate next pulse time using transition-aware interpolation
+   * Get pulse phase (pulses elapsed since journey start) at timeline position
+   * Exact integral of the pulse rate; past the journey end it continues at the final rate
+   * @param {number} timelinePos - Timeline position in seconds
+   */
+  _getPulsePhaseAtTime(timelinePos) {
+    const segment = this._findSegmentAtTime(timelinePos);
+    if (!segment) return timelinePos * this._getPulseRateAtTime(timelinePos);
+    
+    const elapsed = timelinePos - segment.time;
+    const inside = Math.max(0, Math.min(segment.duration, elapsed));
+    return segment.pulsePhase
+      + this._getSegmentCycles(segment, inside) * segment.pulseRatio
+      + (elapsed - inside) * this._getSegmentEdgeRate(segment, elapsed > 0);
+  }
+
+  /**
+   * Get timeline position at which the pulse phase reaches `phase` (inverse of _getPulsePhaseAtTime)
+   * @param {number} phase - Pulses since journey start
    */
-  _getNextPulseTime(currentTime, currentHz) {
-    const interval = calculate32nInterval(currentHz);
-    const nextTime = currentTime + interval;
+  _getPositionAtPulsePhase(phase) {
+    const compiled = this.compiledTimeline;
+    if (compiled.length === 0) return phase / this._getPulseRateAtTime(0);
     
-    // Check if we'll cross into a new segment
-    const currentTimelinePos = currentTime - this.startTime;
-    const nextTimelinePos = nextTime - this.startTime;
-    const futureHz = this._getHzAtTime(nextTimelinePos);
+    let segment = compiled[0];
+    for (let i = compiled.length - 1; i >= 0; i--) {
+      if (phase >= compiled[i].pulsePhase) {
+        segment = compiled[i];
+        break;
+      }
+    }
     
-    // Trapezoidal integration if Hz changes
-    if (Math.abs(futureHz - currentHz) > 0.01) {
-      const avgHz = 0.5 * (currentHz + futureHz);
-      return currentTime + calculate32nInterval(avgHz);
+    // Before the journey or past its end - extrapolate at the edge rate
+    const pulses = phase - segment.pulsePhase;
+    if (pulses < 0) return segment.time + pulses / this._getSegmentEdgeRate(segment, false);
+    if (pulses >= segment.pulseCount) {
+      return segment.time + segment.duration + (pulses - segment.pulseCount) / this._getSegmentEdgeRate(segment, true);
     }
     
-    return nextTime;
+    const cycles = pulses / segment.pulseRatio;
+    if (segment.type === 'plateau') return segment.time + cycles / segment.hz;
+    return segment.time + solveHzIntegral(segment.curve, segment.startHz, segment.endHz, segment.duration, cycles, segment.steps);
+  }
+
+  /**
+   * Pulse rate (pulses per second) at a segment's start or end
+   */
+  _getSegmentEdgeRate(segment, atEnd) {
+    const hz = segment.type === 'plateau' ? segment.hz : atEnd ? segment.endHz : segment.startHz;
+    return hz * segment.pulseRatio;
+  }
+
+  /**
+   * Get audio time of a pulse phase on the current pass
+   * @param {number} phase - Pulse phase on the ticker's running count (see _pulsePhaseOffset)
+   */
+  _getPulseTimeAtPhase(phase) {
+    if (this._gracefulStop) return this._getGlidePulseTime(phase);
+    return this.startTime + this._getPositionAtPulsePhase(phase - this._pulsePhaseOffset);
+  }
+
+  /**
+   * Get pulse rate (pulses per second) at timeline position - Hz x segment subdivision
+   */
+  _getPulseRateAtTime(timelinePos) {
+    return this._getHzAtTime(timelinePos) * this._getPulseRatioAtTime(timelinePos);
+  }
+
+  /**
+   * Get subdivision ratio (pulses per beat cycle) at timeline position
+   */
+  _getPulseRatioAtTime(timelinePos) {
+    return this._findSegmentAtTime(timelinePos)?.pulseRatio ?? PulseSubdivision[TIMELINE_CONSTANTS.DEFAULT_SUBDIVISION];
+  }
+
+  /**
+   * Find first pulse at or after timeline position
+   * Pulse N sits where the phase crosses N, so pulses keep their phase (and accent step) after a seek
+   * @returns {Object} { position, index } - pulse position and number from journey start
+   */
+  _getPulseAtOrAfter(position) {
+    const index = Math.max(0, Math.ceil(this._getPulsePhaseAtTime(position) - 1e-9));
+    return { position: this._getPositionAtPulsePhase(index), index };
   }
 
   /**
    * Compile timeline to flat pulse array for AudioWorklet
-   * Uses existing transition-aware pulse calculation (_getHzAtTime, _getNextPulseTime)
-   * to generate pre-calculated schedule
+   * Pulse N sits at the same phase crossing the realtime ticker uses (_getPositionAtPulsePhase),
+   * so both schedules match exactly
+   * Plays straight through - loop regions only apply to the realtime ticker
+   * Builds the whole journey at once - stream long journeys with compileWorkletChunk()
+   * 
+   * Pulse length follows the isoDuty lane
    * 
    * @param {number} sampleRate - Sample rate (default: 48000)
-   * @param {number} carrierFrequency - Carrier frequency in Hz (default: 110)
+   * @param {number} carrierFrequency - Fixed carrier frequency in Hz (default: follow the carrier lane)
    * @returns {Array} Flat array of pulse events
    */
-  compileForWorklet(sampleRate = 48000, carrierFrequency = 110) {
+  compileForWorklet(sampleRate = 48000, carrierFrequency) {
     const pulses = [];
     const totalDuration = this.getTotalDuration();
+    const count = this._getPulseAtOrAfter(totalDuration).index;
     
-    let currentTime = 0;
-    let pulseId = 0;
-    let channel = 'left'; // Alternating L/R for ISO synth
-    
-    // Use existing pulse calculation logic
-    while (currentTime < totalDuration) {
-      const currentHz = this._getHzAtTime(currentTime);
-      const interval = calculate32nInterval(currentHz);
-      
-      // Convert to sample position
-      const samplePosition = Math.round(currentTime * sampleRate);
-      const durationSamples = Math.round(interval * .8 * sampleRate); // 1.5 duty cycle
-      
-      pulses.push({
-        samplePosition,
-        durationSamples,
-        channel,
-        carrierFrequency,
-        pulseId: pulseId++
-      });
-      
-      // Alternate channels for ISO synth
-      channel = channel === 'left' ? 'right' : 'left';
-      
-      // Calculate next pulse time using transition-aware logic
-      const nextTime = this._getNextPulseTime(currentTime, currentHz);
-      currentTime = nextTime;
+    for (let pulseId = 0; pulseId < count; pulseId++) {
+      pulses.push(this._getWorkletPulse(pulseId, this._getPositionAtPulsePhase(pulseId), sampleRate, carrierFrequency));
     }
     
     console.log(`[JMTimeline] Compiled ${pulses.length} pulses for AudioWorklet (${totalDuration.toFixed(2)}s)`);
     return pulses;
   }
 
+  /**
+   * Compile the next chunk of the worklet pulse stream
+   * Covers chunkSeconds of journey from pulse `fromPulse`, packed into typed arrays so
+   * the buffers can be transferred to the worklet instead of copied. Pulses match
+   * compileForWorklet() exactly.
+   * 
+   * @param {number} fromPulse - First pulse number (the previous chunk's nextPulse)
+   * @param {number} sampleRate - Sample rate (default: 48000)
+   * @param {number} carrierFrequency - Fixed carrier frequency in Hz (default: follow the carrier lane)
+   * @param {number} chunkSeconds - Journey seconds to cover (default: TIMELINE_CONSTANTS.WORKLET_CHUNK_SECONDS)
+   * @returns {Object} { firstPulseId, count, samplePosition, durationSamples, channel (0 = left, 1 = right),
+   *                     carrierFrequency, accent, nextPulse, done } - one typed array per field
+   */
+  compileWorkletChunk(fromPulse = 0, sampleRate = 48000, carrierFrequency, chunkSeconds = TIMELINE_CONSTANTS.WORKLET_CHUNK_SECONDS) {
+    const totalDuration = this.getTotalDuration();
+    const chunkEnd = Math.min(totalDuration, this._getPositionAtPulsePhase(fromPulse) + chunkSeconds);
+    const nextPulse = Math.max(fromPulse, this._getPulseAtOrAfter(chunkEnd).index);
+    const count = nextPulse - fromPulse;
+    
+    const chunk = {
+      firstPulseId: fromPulse,
+      count,
+      samplePosition: new Float64Array(count),
+      durationSamples: new Uint32Array(count),
+      channel: new Uint8Array(count),
+      carrierFrequency: new Float32Array(count),
+      accent: new Float32Array(count),
+      nextPulse,
+      done: chunkEnd >= totalDuration
+    };
+    
+    for (let i = 0; i < count; i++) {
+      const pulseId = fromPulse + i;
+      const pulse = this._getWorkletPulse(pulseId, this._getPositionAtPulsePhase(pulseId), sampleRate, carrierFrequency);
+      chunk.samplePosition[i] = pulse.samplePosition;
+      chunk.durationSamples[i] = pulse.durationSamples;
+      chunk.channel[i] = pulse.channel === 'left' ? 0 : 1;
+      chunk.carrierFrequency[i] = pulse.carrierFrequency;
+      chunk.accent[i] = pulse.accent;
+    }
+    
+    return chunk;
+  }
+
+  /**
+   * Build one worklet pulse (channels alternate L/R for the ISO synth)
+   * @param {number} pulseId - Pulse number from journey start
+   * @param {number} position - Pulse position in timeline seconds
+   */
+  _getWorkletPulse(pulseId, position, sampleRate, carrierFrequency) {
+    const segment = this._findSegmentAtTime(position);
+    const interval = calculatePulseInterval(this._getHzAtTime(position), segment.pulseRatio);
+    const duty = this._getLaneValueAtTime(AutomationLane.ISO_DUTY, position);
+    
+    return {
+      samplePosition: Math.round(position * sampleRate),
+      durationSamples: Math.round(interval * duty * sampleRate),
+      channel: pulseId % 2 === 0 ? 'left' : 'right',
+      carrierFrequency: carrierFrequency ?? this._getLaneValueAtTime(AutomationLane.CARRIER, position),
+      accent: getPulseAccent(segment.accentPattern, pulseId),
+      pulseId
+    };
+  }
+
   // ============================================================================
   // TRANSPORT CONTROL
   // ============================================================================
 
   /**
    * Start timeline playback
+   * If paused, resumes from the paused position instead of restarting
+   * 
+   * @param {number} when - AudioContext time to start at (default: now)
+   * @param {number} offset - Timeline position to start from (default: cue position,
+   *                          0 unless seek() was called while stopped)
    */
-  start() {
+  start(when = this.audioContext.currentTime, offset = this._cuePosition) {
     if (this.isRunning) return;
+    if (this.isPaused) {
+      this.resume();
+      return;
+    }
     
-    const startTime = this.audioContext.currentTime;
-    this.startTime = startTime;
-    this.currentSegmentIndex = 0;
+    const startTime = Math.max(when, this.audioContext.currentTime);
+    const position = Math.max(0, Math.min(offset, this.getTotalDuration()));
+    this.startTime = startTime - position;
+    this._playStartTime = startTime;
+    this.currentSegmentIndex = this._findSegmentAtTime(position)?.index || 0;
     this.isRunning = true;
+    this._loopWraps = 0;
+    this._pendingWrap = null;
+    this._fadeInStart = startTime;
+    this.currentWaveType = null;
+    
+    // Record state change
+    this._stateTimeline.setStateAtTime(PlaybackState.STARTED, startTime, { position });
     
     // Clear pulse tracking
     this._scheduledPulseKeys.clear();
-    this._nextPulseTime = startTime;
     
     // Schedule automation
-    this._scheduleWaveBandAutomation();
-    this._initializePulseBandScheduling();
+    this._scheduleWaveBandAutomation(position);
+    this._initializePulseBandScheduling(position);
     
-    // Start ticker
-    this._startAudioScheduling();
+    // Start registered listeners, then dispatch (startTime may be in the future - listeners schedule against it)
+    const detail = { startTime, position, performanceTime: this.getPerformanceTime(startTime) };
+    this._notifyListeners('start', detail);
+    this._dispatchEvent(TimelineEvents.STARTED, detail);
     
-    // Dispatch event
-    this._dispatchEvent(TimelineEvents.STARTED, { startTime });
+    // Start ticker and visual loop - the first lookahead window reaches listeners already started
+    this._startAudioScheduling();
+    this._startVisualLoop();
   }
 
   /**
-   * Stop timeline playback
+   * Pause timeline playback, keeping the journey position
    */
-  stop() {
+  pause() {
     if (!this.isRunning) return;
+    if (this._gracefulStop) {
+      this.stop();
+      return;
+    }
     
-    const stopTime = this.audioContext.currentTime;
+    const pauseTime = this.audioContext.currentTime;
+    const position = this.getPosition();
     this.isRunning = false;
-    this.startTime = null;
-    this.currentSegmentIndex = 0;
+    this.isPaused = true;
+    this._pausedPosition = position;
+    this._pauseTime = pauseTime;
+    
+    // A loop wrap armed ahead of the boundary hasn't happened yet - resume re-arms it
+    this._undoPendingWrap(pauseTime);
     
-    // Stop ticker
+    // Record state change (drops any scheduled stop)
+    this._clearScheduledStop();
+    this._stateTimeline.cancel(pauseTime);
+    this._stateTimeline.setStateAtTime(PlaybackState.PAUSED, pauseTime, { position });
+    
+    // Stop ticker and visual loop
     this._stopAudioScheduling();
+    this._stopVisualLoop();
     
-    // Clear state
-    this._scheduledPulseKeys.clear();
-    this._clearEventTimelines();
+    // Withdraw segment events and pulses not yet dispatched - the first pulse is where the pulse stream resumes
+    this._cancelPendingWaveEvents(pauseTime);
+    const firstPendingPulse = this._cancelPendingPulses(pauseTime);
+    this._pausedPulsePhase = firstPendingPulse ? firstPendingPulse.phase : this._nextPulsePhase;
+    this._pausedPulseIndex = firstPendingPulse ? firstPendingPulse.index : this._nextPulseIndex;
+    
+    // Hold Hz, lanes and the session envelope at their paused values
+    const hz = this._getHzAtTime(position);
+    this._holdParamsAt(position, pauseTime);
+    this._holdEnvelopeAt(pauseTime);
     
     // Dispatch event
-    this._dispatchEvent(TimelineEvents.STOPPED, { stopTime });
+    this._dispatchEvent(TimelineEvents.PAUSED, { pauseTime, position, hz, performanceTime: this.getPerformanceTime(pauseTime) });
   }
 
-  // ============================================================================
-  // AUDIO SCHEDULING
-  // ============================================================================
-
   /**
-   * Start audio scheduling ticker
+   * Resume playback from the paused position
    */
-  _startAudioScheduling() {
-    if (this._tickerId) return;
+  resume() {
+    if (!this.isPaused) return;
     
-    const tick = () => {
-      if (!this.isRunning) return;
-      
-      const currentTime = this.audioContext.currentTime;
-      const scheduleUntil = currentTime + this._tickerLookahead;
-      
-      // Schedule pulse events
-      this._processPulseBandEvents(scheduleUntil);
-      
-      // Continue ticker
-      this._tickerId = setTimeout(tick, TIMELINE_CONSTANTS.TICKER_INTERVAL);
-    };
+    const resumeTime = this.audioContext.currentTime;
+    const position = this._pausedPosition;
+    
+    // Shift timeline origin so the paused position lines up with now
+    this.startTime = resumeTime - position;
+    this._playStartTime = resumeTime;
+    this.isPaused = false;
+    
+    // Fade-in continues where it was paused (the fade-out follows startTime)
+    this._fadeInStart += resumeTime - this._pauseTime;
+    this.isRunning = true;
+    
+    // Record state change
+    this._stateTimeline.setStateAtTime(PlaybackState.STARTED, resumeTime, { position });
     
-    tick();
+    // Re-arm automation and pulse stream from the paused offsets (same segment - not re-announced)
+    this._scheduleWaveBandAutomation(position, false);
+    this._nextPulsePhase = this._pausedPulsePhase;
+    this._nextPulseIndex = this._pausedPulseIndex;
+    this._nextPulseTime = this._getPulseTimeAtPhase(this._nextPulsePhase);
+    
+    // Start ticker and visual loop
+    this._startAudioScheduling();
+    this._startVisualLoop();
+    
+    // Dispatch event
+    this._dispatchEvent(TimelineEvents.RESUMED, { resumeTime, position, performanceTime: this.getPerformanceTime(resumeTime) });
   }
 
   /**
-   * Stop audio scheduling ticker
+   * Stop timeline playback
+   * A future stop keeps the timeline running until then; pulses stop being
+   * scheduled at the stop time and STOPPED is dispatched when it is reached.
+   * 
+   * @param {number} when - AudioContext time to stop at (default: now)
    */
-  _stopAudioScheduling() {
-    if (this._tickerId) {
-      clearTimeout(this._tickerId);
-      this._tickerId = null;
+  stop(when = this.audioContext.currentTime) {
+    if (!this.isRunning && !this.isPaused) return;
+    
+    const now = this.audioContext.currentTime;
+    const stopTime = Math.max(when, now);
+    
+    // Record state change (drops any later scheduled state, e.g. a pending start)
+    this._clearScheduledStop();
+    this._stateTimeline.setStateAtTimeAndCancel(PlaybackState.STOPPED, stopTime);
+    
+    if (this.isRunning && stopTime > now) {
+      this._cancelPendingWaveEvents(stopTime);
+      this._cancelPendingPulses(stopTime);
+      this._scheduledStop = { time: stopTime };
+      this._scheduledStop.timeoutId = setTimeout(() => this._runScheduledStop(), this._getDispatchDelay(stopTime));
+      return;
     }
+    
+    this._stop(stopTime);
   }
 
-  // ============================================================================
-  // WAVE BAND (Hz Automation)
-  // ============================================================================
-
   /**
-   * Schedule Wave Band Hz automation
+   * Stop over `duration` seconds: the session envelope ramps to 0 while Hz glides
+   * (exponentially) to restingHz, then the timeline stops. Lanes hold and the journey no
+   * longer drives automation; pulses follow the glide at the current subdivision.
+   * Dispatches STOPPING, TRANSITION_START (the Hz glide) and ENVELOPE now, STOPPED at the end.
+   * 
+   * @param {number} duration - Seconds to fade/glide over (default: GRACEFUL_STOP_SECONDS)
+   * @param {number} restingHz - Hz to glide to (default: options.restingHz, else hold the current Hz)
+   */
+  stopGracefully(duration = TIMELINE_CONSTANTS.GRACEFUL_STOP_SECONDS, restingHz = this.restingHz) {
+    if (!this.isRunning || this._gracefulStop) {
+      if (this.isPaused) this.stop();
+      return;
+    }
+    if (!Number.isFinite(duration) || duration < 0) {
+      throw new Error(`JMTimeline: graceful stop duration must be a non-negative number, got ${duration}`);
+    }
+    if (restingHz != null) this._checkRestingHz(restingHz);
+    
+    const now = this.audioContext.currentTime;
+    const time = Math.max(now, this._playStartTime);
+    const stopTime = time + duration;
+    const position = this.getPosition();
+    const fromHz = this._getHzAtTime(position);
+    const toHz = restingHz ?? fromHz;
+    const envelope = this._getEnvelopeAt(time);
+    
+    // Withdraw the journey's pending segment events, loop wraps and pulses - it stops driving automation
+    this._undoPendingWrap(now);
+    this._cancelPendingWaveEvents(time);
+    this._segmentEvents.dispose();
+    const firstPendingPulse = this._cancelPendingPulses(time);
+    if (firstPendingPulse) {
+      this._nextPulsePhase = firstPendingPulse.phase;
+      this._nextPulseIndex = firstPendingPulse.index;
+    }
+    
+    // Pulses continue from the running phase at the glide's rate
+    this._gracefulStop = {
+      time,
+      stopTime,
+      duration,
+      fromHz,
+      toHz,
+      segment: this._findSegmentAtTime(position),
+      phase: this._getPulsePhaseAtTime(position) + this._pulsePhaseOffset
+    };
+    this._nextPulseTime = this._getPulseTimeAtPhase(this._nextPulsePhase);
+    
+    // Lanes hold, Hz glides to rest, envelope fades out
+    this._holdParamsAt(position, time);
+    if (toHz !== fromHz) this._virtualHzParam.exponentialRampToValueAtTime(toHz, stopTime);
+    this._setEnvelope([{ time, value: envelope }, { time: stopTime, value: 0 }]);
+    
+    // Band changes along the glide: hz(t) = fromHz * (toHz / fromHz)^(t / duration)
+    for (const crossing of getBandCrossings(fromHz, toHz)) {
+      const crossingTime = time + duration * Math.log(crossing.hz / fromHz) / Math.log(toHz / fromHz);
+      this._segmentEvents.add({ time: crossingTime, kind: 'band', segment: null, hz: crossing.hz, waveType: crossing.band.name });
+    }
+    
+    const performanceTime = this.getPerformanceTime(time);
+    const glide = {
+      fromHz,
+      toHz,
+      duration,
+      startTime: time,
+      curve: TransitionCurve.EXPONENTIAL,
+      steps: TIMELINE_CONSTANTS.DEFAULT_STEPS,
+      segmentIndex: null,
+      performanceTime
+    };
+    this._dispatchEvent(TimelineEvents.STOPPING, { time, stopTime, duration, fromHz, toHz, performanceTime });
+    this._dispatchEvent(TimelineEvents.WAVE_SCHEDULED, { time, events: [{ type: TimelineEvents.TRANSITION_START, detail: glide }] });
+    this._dispatchEvent(TimelineEvents.TRANSITION_START, glide);
+    
+    this.stop(stopTime);
+  }
+
+  /**
+   * Hz at an audio time during a graceful stop
+   * @param {number} time - Audio time
+   */
+  _getGlideHz(time) {
+    const { time: glideStart, duration, fromHz, toHz } = this._gracefulStop;
+    const progress = duration > 0 ? (time - glideStart) / duration : 1;
+    return interpolateHz(TransitionCurve.EXPONENTIAL, fromHz, toHz, Math.max(0, Math.min(1, progress)));
+  }
+
+  /**
+   * Audio time of a running pulse phase during a graceful stop (Infinity past the stop)
+   * @param {number} phase - Pulse phase on the ticker's running count
+   */
+  _getGlidePulseTime(phase) {
+    const { time, duration, fromHz, toHz, segment, phase: startPhase } = this._gracefulStop;
+    const cycles = (phase - startPhase) / segment.pulseRatio;
+    if (cycles >= integrateHz(TransitionCurve.EXPONENTIAL, fromHz, toHz, duration, duration)) return Infinity;
+    return time + solveHzIntegral(TransitionCurve.EXPONENTIAL, fromHz, toHz, duration, cycles);
+  }
+
+  /**
+   * Reset transport and dispatch STOPPED
+   * @param {number} stopTime - Audio time of the stop
+   * @private
+   */
+  _stop(stopTime) {
+    this.isRunning = false;
+    this.isPaused = false;
+    this.startTime = null;
+    this._playStartTime = null;
+    this.currentSegmentIndex = 0;
+    this.currentWaveType = null;
+    this._cuePosition = 0;
+    this._pausedPosition = 0;
+    this._pausedPulsePhase = 0;
+    this._pausedPulseIndex = 0;
+    this._loopWraps = 0;
+    this._pendingWrap = null;
+    this._gracefulStop = null;
+    
+    // Stop ticker and visual loop
+    this._stopAudioScheduling();
+    this._stopVisualLoop();
+    
+    // Clear state
+    this._cancelPendingWaveEvents(stopTime);
+    this._cancelPendingPulses(stopTime);
+    this._scheduledPulseKeys.clear();
+    this._clearEventTimelines();
+    
+    // Stop registered listeners, then dispatch
+    const detail = { stopTime, performanceTime: this.getPerformanceTime(stopTime) };
+    this._notifyListeners('stop', detail);
+    this._dispatchEvent(TimelineEvents.STOPPED, detail);
+  }
+
+  /**
+   * Cancel a pending scheduled stop
+   * @private
+   */
+  _clearScheduledStop() {
+    if (this._scheduledStop) {
+      clearTimeout(this._scheduledStop.timeoutId);
+      this._scheduledStop = null;
+    }
+  }
+
+  /**
+   * Reach a pending future stop - from its page timer or from the ticker, whichever comes first
+   * @private
+   */
+  _runScheduledStop() {
+    const { time } = this._scheduledStop;
+    this._clearScheduledStop();
+    this._stop(time);
+  }
+
+  /**
+   * Seek to timeline position
+   * Works while running, paused or stopped (stopped: sets where start() begins)
+   * @param {number} seconds - Timeline position in seconds (clamped to journey length)
+   */
+  seek(seconds) {
+    if (!Number.isFinite(seconds)) {
+      throw new Error(`JMTimeline: seek position must be a finite number, got ${seconds}`);
+    }
+    
+    const position = Math.max(0, Math.min(seconds, this.getTotalDuration()));
+    const segment = this._findSegmentAtTime(position);
+    const now = this.audioContext.currentTime;
+    
+    if (this.isRunning) {
+      // A loop wrap armed ahead of the boundary hasn't happened yet - the new position re-arms it
+      this._undoPendingWrap(now);
+      
+      // Withdraw segment events and pulses scheduled from the old position
+      this._cancelPendingWaveEvents(now);
+      this._cancelPendingPulses(now);
+      
+      // Shift timeline origin so the new position lines up with now (or a pending start)
+      this.startTime = Math.max(now, this._playStartTime) - position;
+      
+      // Rebuild automation and pulse stream from the new position
+      this._scheduleWaveBandAutomation(position);
+      this._initializePulseBandScheduling(position);
+      
+      // Fill the lookahead window immediately (segment events announce the new segment)
+      this._processLoopBoundaries(now + this._tickerLookahead);
+      this._processSegmentEvents(now + this._tickerLookahead);
+      this._processPulseBandEvents(now + this._tickerLookahead);
+    } else if (this.isPaused) {
+      const pulse = this._getPulseAtOrAfter(position);
+      this._pausedPosition = position;
+      this._pausedPulsePhase = pulse.index;
+      this._pausedPulseIndex = pulse.index;
+      this._pulsePhaseOffset = 0;
+      
+      // Hold Hz and lanes at the new position's values
+      this._holdParamsAt(position, now);
+    } else {
+      this._cuePosition = position;
+    }
+    
+    if (segment && !this.isRunning) {
+      this.currentSegmentIndex = segment.index;
+      this._dispatchSegmentChanged(segment, position, now);
+    }
+    
+    this._notifyListeners('seek', { position, time: now, isRunning: this.isRunning });
+  }
+
+  // ============================================================================
+  // SESSION ENVELOPE
+  // ============================================================================
+
+  /**
+   * Get the ConstantSourceNode carrying the session envelope (0-1) - connect it to an
+   * output GainNode's gain (set that gain's value to 0) to follow fades at audio rate
+   * @returns {ConstantSourceNode}
+   */
+  getEnvelopeNode() {
+    return this._envelopeSource;
+  }
+
+  /**
+   * Session envelope at an audio time on the current pass
+   * The lower of the fade-in (rising from start()) and the fade-out (falling to 0 at the
+   * journey end) - the fade-out only applies on the pass that plays through to the end
+   * @param {number} time - Audio time
+   * @returns {number} 0-1
+   */
+  _getEnvelopeAt(time) {
+    const fadeIn = this.fadeIn > 0 ? (time - this._fadeInStart) / this.fadeIn : 1;
+    const fadeOut = this._isFadingOut() ? (this._getJourneyEndTime() - time) / this.fadeOut : 1;
+    return Math.max(0, Math.min(1, fadeIn, fadeOut));
+  }
+
+  /**
+   * Envelope breakpoints from an audio time - linear ramps between them
+   * Both fades are linear, so their minimum only bends at fade edges and where they cross
+   * @param {number} fromTime - Audio time to start from
+   * @returns {Array} [{ time, value }] - first point at fromTime
+   */
+  _getEnvelopePoints(fromTime) {
+    const fadeInEnd = this._fadeInStart + this.fadeIn;
+    const times = [fadeInEnd];
+    
+    if (this._isFadingOut()) {
+      const endTime = this._getJourneyEndTime();
+      const fadeOutStart = endTime - this.fadeOut;
+      times.push(fadeOutStart, endTime);
+      
+      // Fades overlap on journeys shorter than both - the envelope peaks where they cross
+      const crossing = (this._fadeInStart * this.fadeOut + endTime * this.fadeIn) / (this.fadeIn + this.fadeOut);
+      if (crossing > fadeOutStart && crossing < fadeInEnd) times.push(crossing);
+    }
+    
+    const points = [{ time: fromTime, value: this._getEnvelopeAt(fromTime) }];
+    for (const time of times.filter(t => t > fromTime).sort((a, b) => a - b)) {
+      if (time - points[points.length - 1].time > 1e-9) points.push({ time, value: this._getEnvelopeAt(time) });
+    }
+    return points;
+  }
+
+  /**
+   * Whether the fade-out is due on this pass (no loop wrap left before the journey end)
+   */
+  _isFadingOut() {
+    return this.fadeOut > 0 && (!this._loop || this._loopWraps >= this._loop.count - 1);
+  }
+
+  /**
+   * Audio time the journey ends on the current pass
+   */
+  _getJourneyEndTime() {
+    return this.startTime + this.getTotalDuration();
+  }
+
+  /**
+   * Re-arm the session envelope from an audio time (start, resume, seek, loop pass, edit)
+   * @param {number} fromTime - Audio time to schedule from
+   */
+  _scheduleEnvelope(fromTime) {
+    this._setEnvelope(this._getEnvelopePoints(fromTime));
+  }
+
+  /**
+   * Hold the session envelope at its value at an audio time (pause)
+   * @param {number} time - Audio time
+   */
+  _holdEnvelopeAt(time) {
+    this._setEnvelope([{ time, value: this._getEnvelopeAt(time) }]);
+  }
+
+  /**
+   * Automate the envelope through breakpoints and dispatch ENVELOPE
+   * Listeners replace their envelope from `time` on: setValueAtTime(value, time), then a
+   * linear ramp to each point
+   * @param {Array} points - [{ time, value }] - first point is where the new envelope starts
+   */
+  _setEnvelope(points) {
+    const [first, ...ramps] = points;
+    const param = this._envelopeSource.offset;
+    
+    cancelAndHoldParam(param, first.time, this.audioContext.currentTime);
+    param.setValueAtTime(first.value, first.time);
+    for (const point of ramps) param.linearRampToValueAtTime(point.value, point.time);
+    
+    this._dispatchEvent(TimelineEvents.ENVELOPE, {
+      time: first.time,
+      value: first.value,
+      points: ramps,
+      performanceTime: this.getPerformanceTime(first.time)
+    });
+  }
+
+  /**
+   * Throw unless a fade length is a non-negative number
+   * @returns {number} The fade length
+   */
+  _checkFadeLength(name, seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error(`JMTimeline: ${name} must be a non-negative number of seconds, got ${seconds}`);
+    }
+    return seconds;
+  }
+
+  /**
+   * Throw unless a resting Hz is inside HZ_MIN-HZ_MAX
+   * @returns {number} The resting Hz
+   */
+  _checkRestingHz(hz) {
+    if (!Number.isFinite(hz) || hz < TIMELINE_CONSTANTS.HZ_MIN || hz > TIMELINE_CONSTANTS.HZ_MAX) {
+      throw new Error(`JMTimeline: resting Hz ${hz} outside valid range (${TIMELINE_CONSTANTS.HZ_MIN}-${TIMELINE_CONSTANTS.HZ_MAX}Hz)`);
+    }
+    return hz;
+  }
+
+  // ============================================================================
+  // LOOP REGIONS
+  // ============================================================================
+
+  /**
+   * Set loop region
+   * Bounds are journey seconds (start/end) or segment indexes (startSegment/endSegment).
+   * endSegment is inclusive - the loop ends where that segment ends.
+   * Can be changed while running; takes effect at the next loop boundary.
+   * 
+   * @param {Object} options - Loop options
+   * @param {number} options.start - Loop start in seconds (default: 0)
+   * @param {number} options.end - Loop end in seconds (default: journey end)
+   * @param {number} options.startSegment - Loop from the start of this segment
+   * @param {number} options.endSegment - Loop to the end of this segment
+   * @param {number} options.count - Passes through the region before playing on (default: Infinity)
+   * @returns {Object} Resolved loop region { start, end, count }
+   */
+  setLoop({ start, end, startSegment, endSegment, count = Infinity } = {}) {
+    if (startSegment !== undefined) start = this._getSegmentByIndex(startSegment).time;
+    if (endSegment !== undefined) {
+      const segment = this._getSegmentByIndex(endSegment);
+      end = segment.time + segment.duration;
+    }
+    
+    const loopStart = start ?? 0;
+    const loopEnd = end ?? this.getTotalDuration();
+    
+    if (!Number.isFinite(loopStart) || !Number.isFinite(loopEnd)) {
+      throw new Error(`JMTimeline: loop bounds must be finite numbers, got ${loopStart}-${loopEnd}`);
+    }
+    if (loopStart < 0 || loopEnd > this.getTotalDuration() || loopEnd <= loopStart) {
+      throw new Error(`JMTimeline: invalid loop region ${loopStart}-${loopEnd}s for a ${this.getTotalDuration()}s journey`);
+    }
+    if (!(count >= 1)) {
+      throw new Error(`JMTimeline: loop count must be at least 1, got ${count}`);
+    }
+    
+    this._undoPendingWrap(this.audioContext.currentTime);
+    this._loop = { start: loopStart, end: loopEnd, count };
+    return { ...this._loop };
+  }
+
+  /**
+   * Remove loop region - playback continues past loopEnd
+   */
+  clearLoop() {
+    this._undoPendingWrap(this.audioContext.currentTime);
+    this._loop = null;
+  }
+
+  /**
+   * Get current loop region
+   * @returns {Object|null} { start, end, count } or null when not looping
+   */
+  getLoop() {
+    return this._loop ? { ...this._loop } : null;
+  }
+
+  /**
+   * Find compiled segment by its input index
+   * @private
+   */
+  _getSegmentByIndex(index) {
+    const segment = this.compiledTimeline.find(s => s.index === index);
+    if (!segment) {
+      throw new Error(`JMTimeline: no segment at index ${index}`);
+    }
+    return segment;
+  }
+
+  /**
+   * Wrap the transport at every loop boundary inside the lookahead window
+   * Everything before the boundary is handed off on the current pass first,
+   * so the ticker then continues on the next pass.
+   * @param {number} scheduleUntil - Audio time to schedule up to
+   */
+  _processLoopBoundaries(scheduleUntil) {
+    while (this.isRunning && !this._gracefulStop && this._loop && this._loopWraps < this._loop.count - 1) {
+      const boundaryTime = this.startTime + this._loop.end;
+      
+      // Not reached yet, or already played past it (e.g. seek beyond loopEnd)
+      if (boundaryTime >= scheduleUntil || boundaryTime < this._segmentCursor) return;
+      if (this.getState(boundaryTime) !== PlaybackState.STARTED) return;
+      
+      this._processSegmentEvents(boundaryTime);
+      this._processPulseBandEvents(boundaryTime);
+      
+      // A transition ending exactly at loopEnd still finishes on this pass
+      this._segmentEvents.forEach((event) => {
+        if (event.kind === 'end' && event.time === boundaryTime) this._scheduleSegmentCallback(event);
+      });
+      
+      this._wrapLoop(boundaryTime);
+    }
+  }
+
+  /**
+   * Jump back to loop start at boundaryTime
+   * The pulse phase left over past loopEnd carries into the next pass, so the pulse
+   * stream continues without a gap.
+   * @param {number} boundaryTime - Audio time of loopEnd on the current pass
+   */
+  _wrapLoop(boundaryTime) {
+    const { start, end } = this._loop;
+    
+    this._pendingWrap = { time: boundaryTime, previousStartTime: this.startTime, previousPhaseOffset: this._pulsePhaseOffset };
+    this.startTime = boundaryTime - start;
+    this._pulsePhaseOffset += this._getPulsePhaseAtTime(end) - this._getPulsePhaseAtTime(start);
+    this._nextPulseTime = this._getPulseTimeAtPhase(this._nextPulsePhase);
+    this._loopWraps++;
+    
+    // Loop event first so listeners see it before the segment re-announces
+    this._scheduleSegmentCallback({
+      time: boundaryTime,
+      kind: 'loop',
+      position: start,
+      loopStart: start,
+      loopEnd: end,
+      pass: this._loopWraps + 1
+    });
+    
+    // Re-arm Hz automation and segment events for the next pass
+    this._scheduleWaveBandAutomation(start);
+  }
+
+  /**
+   * Revert a loop wrap that was armed but not yet reached at the given time
+   * Running: re-arms the current pass beyond the boundary
+   * @param {number} time - Audio time of the change
+   */
+  _undoPendingWrap(time) {
+    const wrap = this._pendingWrap;
+    this._pendingWrap = null;
+    if (!wrap || time >= wrap.time) return;
+    
+    this.startTime = wrap.previousStartTime;
+    this._pulsePhaseOffset = wrap.previousPhaseOffset;
+    this._loopWraps--;
+    
+    if (!this.isRunning) return;
+    
+    const position = wrap.time - this.startTime;
+    this._cancelPendingWaveEvents(wrap.time);
+    const firstPendingPulse = this._cancelPendingPulses(wrap.time);
+    if (firstPendingPulse) {
+      this._nextPulsePhase = firstPendingPulse.phase;
+      this._nextPulseIndex = firstPendingPulse.index;
+    }
+    this._nextPulseTime = this._getPulseTimeAtPhase(this._nextPulsePhase);
+    this._scheduleWaveBandAutomation(position, false);
+    
+    // Withdrawn along with the next pass - a transition ending at the boundary
+    const ended = this.compiledTimeline.find(s => s.type === 'transition' && s.time + s.duration === position);
+    if (ended) {
+      this._scheduleSegmentCallback({
+        time: wrap.time,
+        kind: 'end',
+        segment: ended,
+        index: ended.index,
+        position,
+        hz: ended.endHz
+      });
+    }
+  }
+
+  // ============================================================================
+  // LIVE EDITING
+  // ============================================================================
+
+  /**
+   * Update fields of a segment (Hz, duration, type, curve...)
+   * Takes input segment fields, e.g. { hz }, { durationSeconds }, { type, startHz, endHz }
+   * ({ lanes } replaces all of the segment's lanes - use updateSegmentLane() for one)
+   * @param {number} index - Segment index
+   * @param {Object} changes - Fields to merge into the segment
+   */
+  updateSegment(index, changes) {
+    this._getInputSegment(index);
+    
+    const segments = this.segments.slice();
+    segments[index] = { ...segments[index], ...changes };
+    this._applySegmentEdit(segments, i => i, { edit: 'update', segmentIndex: index });
+  }
+
+  /**
+   * Update a plateau's Hz (real-time editing)
+   * Adjoining transitions follow so the journey stays continuous
+   * @param {number} segmentIndex - Plateau segment index
+   * @param {number} newHz - New frequency value
+   */
+  updateSegmentHz(segmentIndex, newHz) {
+    const segment = this._getInputSegment(segmentIndex);
+    if (segment.type !== 'plateau') {
+      throw new Error(`JMTimeline: segment ${segmentIndex} is a ${segment.type} - use updateSegment() for transitions`);
+    }
+    const segments = this.segments.slice();
+    segments[segmentIndex] = { ...segment, hz: newHz };
+    
+    const previous = segments[segmentIndex - 1];
+    if (previous?.type === 'transition') segments[segmentIndex - 1] = { ...previous, endHz: newHz };
+    const next = segments[segmentIndex + 1];
+    if (next?.type === 'transition') segments[segmentIndex + 1] = { ...next, startHz: newHz };
+    
+    this._applySegmentEdit(segments, i => i, { edit: 'update', segmentIndex });
+  }
+
+  /**
+   * Update one automation lane value on a segment
+   * Plateaus hold it; on a transition it is the value the ramp ends at
+   * @param {number} segmentIndex - Segment index
+   * @param {string} lane - AutomationLane value (not 'hz' - use updateSegmentHz)
+   * @param {number|null} value - New value; null to carry the previous segment's value
+   */
+  updateSegmentLane(segmentIndex, lane, value) {
+    this._checkLane(lane);
+    const lanes = { ...this._getInputSegment(segmentIndex).lanes };
+    if (value == null) {
+      delete lanes[lane];
+    } else {
+      lanes[lane] = value;
+    }
+    this.updateSegment(segmentIndex, { lanes });
+  }
+
+  /**
+   * Update a segment's duration
+   * @param {number} segmentIndex - Segment index
+   * @param {number} newDuration - New duration in seconds
+   */
+  updateSegmentDuration(segmentIndex, newDuration) {
+    this.updateSegment(segmentIndex, { durationSeconds: newDuration });
+  }
+
+  /**
+   * Insert a segment before index (index = segments.length appends)
+   * @param {number} index - Position to insert at
+   * @param {Object} segment - Input segment
+   */
+  insertSegment(index, segment) {
+    if (!Number.isInteger(index) || index < 0 || index > this.segments.length) {
+      throw new Error(`JMTimeline: cannot insert segment at index ${index}`);
+    }
+    
+    const segments = this.segments.slice();
+    segments.splice(index, 0, { ...segment });
+    this._applySegmentEdit(segments, i => (i >= index ? i + 1 : i), { edit: 'insert', segmentIndex: index });
+  }
+
+  /**
+   * Remove a segment
+   * Removing the playing segment continues with the segment that takes its place
+   * @param {number} index - Segment index
+   */
+  removeSegment(index) {
+    this._getInputSegment(index);
+    
+    const segments = this.segments.slice();
+    segments.splice(index, 1);
+    this._applySegmentEdit(segments, i => (i === index ? null : i > index ? i - 1 : i), { edit: 'remove', segmentIndex: index });
+  }
+
+  /**
+   * Set timeline-wide pulse subdivision (segments with their own keep it)
+   * @param {string|number} subdivision - '8n', '16n', '32n', '16t', '16n.', ... or pulses per beat cycle
+   */
+  setSubdivision(subdivision) {
+    this.subdivision = subdivision;
+    this._applySegmentEdit(this.segments, i => i, { edit: 'pulse', segmentIndex: null });
+  }
+
+  /**
+   * Set timeline-wide accent pattern (segments with their own keep it)
+   * @param {Array|null} pattern - Per-pulse levels, e.g. [1, 0.5, 0.5, 0.5]; null for no accents
+   */
+  setAccentPattern(pattern) {
+    this.accentPattern = pattern || null;
+    this._applySegmentEdit(this.segments, i => i, { edit: 'pulse', segmentIndex: null });
+  }
+
+  /**
+   * Get input segment by index
+   * @private
+   */
+  _getInputSegment(index) {
+    const segment = this.segments[index];
+    if (!segment) {
+      throw new Error(`JMTimeline: no segment at index ${index}`);
+    }
+    return segment;
+  }
+
+  /**
+   * Recompile after an edit and re-arm playback from the same place in the journey
+   * Running: only automation after now is replaced and the pulse stream continues
+   * from the last pulse, so there is no restart or phase jump.
+   * 
+   * @param {Array} segments - Edited input segments
+   * @param {Function} mapIndex - Old segment index -> new index (null if removed)
+   * @param {Object} detail - EDITED payload { edit, segmentIndex }
+   * @private
+   */
+  _applySegmentEdit(segments, mapIndex, detail) {
+    this._validateSegments(segments);
+    
+    const now = this.audioContext.currentTime;
+    if (this.isRunning) this._undoPendingWrap(now);
+    
+    const oldPosition = this.getPosition();
+    const oldSegment = this._findSegmentAtTime(oldPosition);
+    const pulsePhase = this._getPulsePhaseAtTime(oldPosition) + this._pulsePhaseOffset;
+    
+    this.segments = segments;
+    this.compiledTimeline = this._compile(segments);
+    
+    // Stay at the same offset inside the playing segment, wherever it moved to
+    const position = this._remapPosition(oldPosition, oldSegment, mapIndex);
+    const segment = this._findSegmentAtTime(position);
+    const segmentChanged = !oldSegment || !segment || segment.index !== mapIndex(oldSegment.index);
+    
+    if (this._loop && this._loop.end > this.getTotalDuration()) {
+      console.warn('[JMTimeline] Loop region no longer fits the journey - loop cleared');
+      this._loop = null;
+    }
+    
+    // Keep the running pulse phase where it was - the pulse in progress completes at the new rate
+    this._pulsePhaseOffset = pulsePhase - this._getPulsePhaseAtTime(position);
+    
+    if (this.isRunning) {
+      const time = Math.max(now, this._playStartTime);
+      
+      // Withdraw everything scheduled from the old journey
+      this._cancelPendingWaveEvents(now);
+      const firstPendingPulse = this._cancelPendingPulses(now);
+      
+      this.startTime = time - position;
+      this._scheduleWaveBandAutomation(position, segmentChanged);
+      
+      // Continue the pulse stream from the last pulse at the new rate
+      if (firstPendingPulse) {
+        this._nextPulsePhase = firstPendingPulse.phase;
+        this._nextPulseIndex = firstPendingPulse.index;
+      }
+      this._nextPulseTime = this._getPulseTimeAtPhase(this._nextPulsePhase);
+      
+      // Fill the lookahead window immediately
+      this._processLoopBoundaries(now + this._tickerLookahead);
+      this._processSegmentEvents(now + this._tickerLookahead);
+      this._processPulseBandEvents(now + this._tickerLookahead);
+    } else if (this.isPaused) {
+      this._pausedPosition = position;
+      
+      // Hold Hz and lanes at the edited values
+      this._holdParamsAt(position, now);
+    } else {
+      this._cuePosition = position;
+    }
+    
+    if (segment) this.currentSegmentIndex = segment.index;
+    
+    this._dispatchEvent(TimelineEvents.EDITED, {
+      ...detail,
+      totalDuration: this.getTotalDuration(),
+      position,
+      time: now,
+      performanceTime: this.getPerformanceTime(now)
+    });
+  }
+
+  /**
+   * Map a position in the old journey to the edited journey
+   * @param {number} position - Position before the edit
+   * @param {Object} segment - Compiled segment playing before the edit
+   * @param {Function} mapIndex - Old segment index -> new index (null if removed)
+   * @returns {number} Position in the recompiled timeline
+   * @private
+   */
+  _remapPosition(position, segment, mapIndex) {
+    const totalDuration = this.getTotalDuration();
+    if (!segment) return Math.min(position, totalDuration);
+    
+    const index = mapIndex(segment.index);
+    const moved = index === null ? null : this.compiledTimeline.find(s => s.index === index);
+    if (moved) {
+      const offset = Math.min(position - segment.time, moved.duration);
+      return Math.min(moved.time + offset, totalDuration);
+    }
+    
+    // Playing segment was removed - continue with whatever now starts there
+    const next = this.compiledTimeline.find(s => s.index >= segment.index);
+    return next ? next.time : totalDuration;
+  }
+
+  // ============================================================================
+  // LISTENER REGISTRY
+  // ============================================================================
+
+  /**
+   * Register a TimelineListener (synth) - attaches its handlers to this timeline, starts
+   * it listening and drives its lifecycle: prepare() now, start()/stop()/seek() with the
+   * transport, dispose() from dispose(). Adding it again updates priority and bands.
+   * 
+   * @param {TimelineListener} listener - Listener to register
+   * @param {Object} options
+   * @param {number} options.priority - Event and lifecycle order, higher first (default: 0)
+   * @param {Array} options.bands - TimelineBand values to receive, e.g. ['wave'] (default: all)
+   * @returns {Promise} Resolves with the listener once its prepare() has settled
+   */
+  addListener(listener, { priority = 0, bands = null } = {}) {
+    if (!listener || typeof listener.attach !== 'function' || typeof listener.prepare !== 'function') {
+      throw new Error('JMTimeline: addListener needs a TimelineListener');
+    }
+    if (!Number.isFinite(priority)) {
+      throw new Error(`JMTimeline: listener priority must be a finite number, got ${priority}`);
+    }
+    const bandNames = Object.values(TimelineBand);
+    if (bands !== null && (!Array.isArray(bands) || bands.length === 0 || !bands.every(band => bandNames.includes(band)))) {
+      throw new Error(`JMTimeline: listener bands must be a non-empty array of ${bandNames.join('/')}, got ${bands}`);
+    }
+    
+    const existing = this._listeners.find(entry => entry.listener === listener);
+    if (existing) {
+      existing.priority = priority;
+      existing.bands = bands;
+      if (existing.enabled) listener.attach(this, existing);
+      this._listeners.sort((a, b) => b.priority - a.priority);
+      return Promise.resolve(listener);
+    }
+    
+    listener.timeline?.removeListener(listener);
+    const entry = { listener, priority, bands, enabled: true, prepared: false };
+    this._listeners.push(entry);
+    this._listeners.sort((a, b) => b.priority - a.priority);
+    listener.timeline = this;
+    listener.attach(this, entry);
+    listener.startListening();
+    
+    // No other hooks until prepared (worklets may still be loading) - then join a running timeline
+    return Promise.resolve(this._callListener(entry, 'prepare', this)).then(() => {
+      entry.prepared = true;
+      if (this.isRunning && entry.enabled && this._listeners.includes(entry)) {
+        this._startListenerNow(entry);
+      }
+      return listener;
+    });
+  }
+
+  /**
+   * Unregister a listener - stops it if the timeline is running and detaches its handlers.
+   * It is not disposed: the caller owns it again
+   * @param {TimelineListener} listener - Registered listener
+   * @returns {boolean} false if it was not registered
+   */
+  removeListener(listener) {
+    const index = this._listeners.findIndex(entry => entry.listener === listener);
+    if (index === -1) return false;
+    
+    const [entry] = this._listeners.splice(index, 1);
+    if (entry.enabled && entry.prepared && this.isRunning) this._stopListenerNow(entry);
+    listener.stopListening();
+    listener.detach();
+    listener.timeline = null;
+    return true;
+  }
+
+  /**
+   * Enable or disable a registered listener at runtime
+   * Disabled listeners get no events and no lifecycle hooks; while running, stop() is
+   * called on disable and start() (from the current position) on enable
+   * @param {TimelineListener} listener - Registered listener
+   * @param {boolean} enabled - New state
+   */
+  setListenerEnabled(listener, enabled) {
+    const entry = this._listeners.find(other => other.listener === listener);
+    if (!entry) {
+      throw new Error('JMTimeline: listener is not registered (addListener first)');
+    }
+    if (entry.enabled === Boolean(enabled)) return;
+    
+    if (enabled) {
+      entry.enabled = true;
+      listener.attach(this, entry);
+      listener.startListening();
+      if (entry.prepared && this.isRunning) this._startListenerNow(entry);
+    } else {
+      if (entry.prepared && this.isRunning) this._stopListenerNow(entry);
+      entry.enabled = false;
+      listener.stopListening();
+      listener.detach();
+    }
+  }
+
+  /**
+   * Get registered listeners in priority order
+   * @returns {Array} [{ listener, priority, bands, enabled, prepared }]
+   */
+  getListeners() {
+    return this._listeners.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Call a lifecycle hook on a listener - a throwing hook is logged and does not stop the others
+   * @returns {*} Hook's return value (prepare() may return a Promise)
+   * @private
+   */
+  _callListener(entry, hook, detail) {
+    try {
+      return entry.listener[hook](detail);
+    } catch (error) {
+      console.error(`[JMTimeline] ${entry.listener.constructor.name}.${hook}() failed:`, error);
+    }
+  }
+
+  /**
+   * Call a lifecycle hook on every enabled, prepared listener, highest priority first
+   * @private
+   */
+  _notifyListeners(hook, detail) {
+    for (const entry of this._listeners.slice()) {
+      if (entry.enabled && entry.prepared) this._callListener(entry, hook, detail);
+    }
+  }
+
+  /**
+   * Start one listener mid-playback (added or enabled while running)
+   * @private
+   */
+  _startListenerNow(entry) {
+    const now = this.audioContext.currentTime;
+    this._callListener(entry, 'start', { startTime: now, position: this.getPosition(), performanceTime: this.getPerformanceTime(now) });
+  }
+
+  /**
+   * Stop one listener mid-playback (removed or disabled while running)
+   * @private
    */
-  _scheduleWaveBandAutomation() {
+  _stopListenerNow(entry) {
+    const now = this.audioContext.currentTime;
+    this._callListener(entry, 'stop', { stopTime: now, performanceTime: this.getPerformanceTime(now) });
+  }
+
+  // ============================================================================
+  // AUDIO SCHEDULING
+  // ============================================================================
+
+  /**
+   * Start audio scheduling ticker
+   */
+  _startAudioScheduling() {
+    if (this._ticker.isRunning) return;
+    
+    this._lastTickTime = null;
+    this._ticker.start();
+    this._tick();
+  }
+
+  /**
+   * One scheduler pass - schedule everything up to currentTime + lookahead
+   */
+  _tick() {
+    if (!this.isRunning) return;
+    
+    // Heard-time events and a future stop whose page timer is late (hidden tab)
+    this._dispatchDueEvents();
+    if (this._scheduledStop && this._scheduledStop.time <= this.getAudibleTime()) {
+      this._runScheduledStop();
+      return;
+    }
+    
+    const currentTime = this.audioContext.currentTime;
+    this._adaptLookahead(currentTime);
+    const scheduleUntil = currentTime + this._tickerLookahead;
+    
+    // Wrap at loop boundaries
+    this._processLoopBoundaries(scheduleUntil);
+    
+    // Schedule segment/Hz/transition events
+    this._processSegmentEvents(scheduleUntil);
+    
+    // Schedule pulse events
+    this._processPulseBandEvents(scheduleUntil);
+  }
+
+  /**
+   * Size the lookahead to the tick spacing actually observed
+   * A late tick (throttled timer, busy main thread) grows the lookahead at once to
+   * LOOKAHEAD_HEADROOM gaps, so the next late tick still finds events scheduled; regular
+   * ticks let it decay back toward the floor (AUDIO_LOOKAHEAD, HIDDEN_LOOKAHEAD while hidden)
+   * @param {number} currentTime - Audio time of this tick
+   */
+  _adaptLookahead(currentTime) {
+    const hidden = typeof document !== 'undefined' && document.hidden;
+    const floor = hidden ? TIMELINE_CONSTANTS.HIDDEN_LOOKAHEAD : TIMELINE_CONSTANTS.AUDIO_LOOKAHEAD;
+    const gap = this._lastTickTime === null ? 0 : currentTime - this._lastTickTime;
+    this._lastTickTime = currentTime;
+    
+    const needed = Math.min(TIMELINE_CONSTANTS.MAX_LOOKAHEAD,
+      Math.max(floor, gap * TIMELINE_CONSTANTS.LOOKAHEAD_HEADROOM));
+    this._tickerLookahead = needed >= this._tickerLookahead
+      ? needed
+      : Math.max(needed, this._tickerLookahead * TIMELINE_CONSTANTS.LOOKAHEAD_DECAY);
+  }
+
+  /**
+   * Dispatch heard-time events that have become audible but whose page timer hasn't fired
+   * Hidden tabs throttle page timers (~1/s) while the worker ticker keeps its pace, so events
+   * still go out within a tick of being heard, in time order
+   */
+  _dispatchDueEvents() {
+    const audibleTime = this.getAudibleTime();
+    const due = [];
+    const collect = (entry) => {
+      if (!entry.dispatched) due.push(entry);
+    };
+    
+    this._waveEvents.forEachBetween(this._dueCursor, audibleTime, collect);
+    this._pulseEvents.forEachBetween(this._dueCursor, audibleTime, collect);
+    this._dueCursor = Math.max(this._dueCursor, audibleTime);
+    
+    due.sort((a, b) => a.time - b.time).forEach(entry => this._runScheduledDispatch(entry));
+    
+    // Everything before the cursor has been heard - keep EVENT_HISTORY of it (pulse flash)
+    const heardBefore = this._dueCursor - TIMELINE_CONSTANTS.EVENT_HISTORY;
+    this._waveEvents.cancelBefore(heardBefore);
+    this._pulseEvents.cancelBefore(heardBefore);
+  }
+
+  /**
+   * Dispatch a wave/pulse entry once - from its page timer or from _dispatchDueEvents(),
+   * whichever comes first
+   * @param {Object} entry - _waveEvents/_pulseEvents entry { dispatch, timeoutId, dispatched }
+   */
+  _runScheduledDispatch(entry) {
+    if (entry.dispatched || !this.isRunning) return;
+    
+    entry.dispatched = true;
+    clearTimeout(entry.timeoutId);
+    entry.dispatch();
+  }
+
+  /**
+   * Stop audio scheduling ticker
+   */
+  _stopAudioScheduling() {
+    this._ticker.stop();
+  }
+
+  // ============================================================================
+  // VISUAL FEEDBACK
+  // ============================================================================
+
+  /**
+   * Start the animation-frame loop (no-op without requestAnimationFrame or while the tab is hidden)
+   */
+  _startVisualLoop() {
+    if (!this.visualFeedback || this._visualFrameId !== null) return;
+    if (typeof requestAnimationFrame === 'undefined') return;
+    if (typeof document !== 'undefined' && document.hidden) return;
+    
+    const frame = (frameTime) => {
+      this._visualFrameId = null;
+      if (!this.isRunning) return;
+      
+      this._dispatchVisualFrame(frameTime);
+      this._visualFrameId = requestAnimationFrame(frame);
+    };
+    
+    this._visualFrameId = requestAnimationFrame(frame);
+  }
+
+  /**
+   * Stop the animation-frame loop
+   */
+  _stopVisualLoop() {
+    if (this._visualFrameId !== null) {
+      cancelAnimationFrame(this._visualFrameId);
+      this._visualFrameId = null;
+    }
+  }
+
+  /**
+   * Dispatch one frame of visual feedback
+   * Hz, wave type and segment progress are interpolated at the audio time being heard; a flash
+   * fires for the latest pulse that has become audible since the last frame
+   * @param {number} frameTime - requestAnimationFrame timestamp (ms)
+   */
+  _dispatchVisualFrame(frameTime) {
+    const now = this.getAudibleTime();
+    if (now < this._playStartTime) return;
+    
+    const position = this._getPositionAtTime(now);
+    const segment = this._findSegmentAtTime(position);
+    const gliding = this._gracefulStop && now >= this._gracefulStop.time;
+    const hz = gliding ? this._getGlideHz(now) : this._getHzAtTime(position);
+    const progress = segment ? Math.max(0, Math.min(1, (position - segment.time) / segment.duration)) : 0;
+    
+    this._dispatchEvent(TimelineEvents.HZ_VISUAL, {
+      hz,
+      wave_type: getWaveType(hz),
+      position,
+      segmentIndex: segment?.index ?? null,
+      progress,
+      time: now,
+      performanceTime: this.getPerformanceTime(now),
+      frameTime
+    });
+    
+    const pulse = this._pulseEvents.get(now);
+    if (pulse && pulse !== this._lastFlashedPulse) {
+      this._lastFlashedPulse = pulse;
+      this._dispatchEvent(TimelineEvents.PULSE_FLASH, {
+        time: pulse.time,
+        hz: pulse.hz,
+        pulseIndex: pulse.index,
+        accent: pulse.accent,
+        performanceTime: this.getPerformanceTime(pulse.time),
+        frameTime
+      });
+    }
+  }
+
+  // ============================================================================
+  // WAVE BAND (Hz Automation)
+  // ============================================================================
+
+  /**
+   * Schedule Wave Band Hz automation (and every automation lane)
+   * Also fills _segmentEvents with segment start/transition end entries for the ticker
+   * @param {number} fromPosition - Timeline position to schedule from (default: 0)
+   * @param {boolean} announceSegment - Dispatch SEGMENT_CHANGED for a segment entered mid-way (default: true)
+   */
+  _scheduleWaveBandAutomation(fromPosition = 0, announceSegment = true) {
+    // A graceful stop owns Hz, lanes and the envelope until it ends
+    if (this._gracefulStop) return;
+    
     const startTime = this.startTime;
-    const param = this._virtualHzParam;
+    const fromTime = startTime + fromPosition;
+    const lanes = Object.values(AutomationLane);
     
-    // Cancel existing automation
-    param.cancelScheduledValues(startTime);
+    // Cancel existing automation (holding the value reached at fromTime, which is
+    // in the future when re-arming at a loop boundary)
+    const now = this.audioContext.currentTime;
+    for (const lane of lanes) {
+      cancelAndHoldParam(this._laneSources[lane].offset, fromTime, now);
+    }
+    this._segmentEvents.dispose();
     
     for (const segment of this.compiledTimeline) {
+      // Skip segments already played
+      if (segment.time + segment.duration <= fromPosition) continue;
+      
       const segmentStartTime = startTime + segment.time;
+      const segmentEndTime = startTime + (segment.time + segment.duration);
+      const isPartial = segment.time < fromPosition;
+      const position = isPartial ? fromPosition : segment.time;
+      const scheduleTime = isPartial ? fromTime : segmentStartTime;
+      
+      // Partial transitions start from the interpolated Hz at the schedule position
+      const hz = this._getHzAtTime(position);
       
-      if (segment.type === 'plateau') {
-        param.setValueAtTime(segment.hz, segmentStartTime);
-      } else if (segment.type === 'transition') {
-        param.setValueAtTime(segment.startHz, segmentStartTime);
-        param.linearRampToValueAtTime(segment.endHz, segmentStartTime + segment.duration);
+      for (const lane of lanes) {
+        const param = this._laneSources[lane].offset;
+        const { start, end } = this._getLaneEndpoints(segment, lane);
+        if (segment.type === 'transition' && start !== end) {
+          this._scheduleTransitionCurve(param, segment, position, scheduleTime, lane);
+        } else {
+          param.setValueAtTime(start, scheduleTime);
+        }
       }
       
       // Store for segment tracking
-      this._segmentEvents.add({ time: segmentStartTime, segment, index: segment.index });
+      this._segmentEvents.add({
+        time: scheduleTime,
+        kind: 'start',
+        segment,
+        index: segment.index,
+        position,
+        hz,
+        announce: !isPartial || announceSegment
+      });
+      
+      if (segment.type === 'transition') {
+        const crossings = getBandCrossings(hz, segment.endHz).map(crossing => ({
+          ...crossing,
+          position: this._getTransitionPositionAtHz(segment, position, crossing.hz)
+        }));
+        crossings.forEach((crossing, i) => {
+          // A step that jumps several bands at once lands in the last one only
+          if (i + 1 < crossings.length && crossings[i + 1].position - crossing.position < 1e-6) return;
+          this._segmentEvents.add({
+            time: startTime + crossing.position,
+            kind: 'band',
+            segment,
+            index: segment.index,
+            position: crossing.position,
+            hz: crossing.hz,
+            waveType: crossing.band.name
+          });
+        });
+        
+        this._segmentEvents.add({
+          time: segmentEndTime,
+          kind: 'end',
+          segment,
+          index: segment.index,
+          position: segment.time + segment.duration,
+          hz: segment.endHz
+        });
+      }
+    }
+    
+    this._segmentCursor = fromTime;
+    this._scheduleEnvelope(fromTime);
+  }
+
+  /**
+   * Timeline position where a transition's Hz crosses into the band past `hz`
+   * (bisection - every transition curve is monotonic)
+   * @param {Object} segment - Compiled transition segment
+   * @param {number} fromPosition - Timeline position to search from
+   * @param {number} hz - Band edge between the Hz at fromPosition and segment.endHz
+   */
+  _getTransitionPositionAtHz(segment, fromPosition, hz) {
+    const rising = segment.endHz > segment.startHz;
+    let low = fromPosition;
+    let high = segment.time + segment.duration;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      // An edge belongs to the band below it - falling sweeps cross on reaching it
+      if ((this._getHzAtTime(mid) > hz) === rising) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return high;
+  }
+
+  /**
+   * Schedule one transition's curve on an AudioParam
+   * Native ramps for linear/exponential, sampled curve for logarithmic/ease-in-out,
+   * discrete holds for step
+   * 
+   * @param {AudioParam} param - Param to automate
+   * @param {Object} segment - Compiled transition segment
+   * @param {number} position - Timeline position to start from (may be mid-transition)
+   * @param {number} scheduleTime - Audio time matching position
+   * @param {string} lane - AutomationLane the param follows (default: Hz)
+   */
+  _scheduleTransitionCurve(param, segment, position, scheduleTime, lane = AutomationLane.HZ) {
+    const segmentEnd = segment.time + segment.duration;
+    const endTime = scheduleTime + (segmentEnd - position);
+    const { start, end } = this._getLaneEndpoints(segment, lane);
+    const value = this._getLaneValueAtTime(lane, position);
+    
+    switch (segment.curve) {
+      case TransitionCurve.EXPONENTIAL:
+        param.setValueAtTime(value, scheduleTime);
+        // Exponential ramps can't reach or leave 0 (e.g. noise fading in) - interpolateHz is linear there too
+        if (value > 0 && end > 0) {
+          param.exponentialRampToValueAtTime(end, endTime);
+        } else {
+          param.linearRampToValueAtTime(end, endTime);
+        }
+        break;
+        
+      case TransitionCurve.LOGARITHMIC:
+      case TransitionCurve.EASE_IN_OUT: {
+        const remaining = segmentEnd - position;
+        const pointCount = Math.min(
+          TIMELINE_CONSTANTS.CURVE_MAX_POINTS,
+          Math.max(2, Math.ceil(remaining * TIMELINE_CONSTANTS.CURVE_POINTS_PER_SECOND))
+        );
+        const values = new Float32Array(pointCount);
+        for (let i = 0; i < pointCount; i++) {
+          values[i] = this._getLaneValueAtTime(lane, position + remaining * i / (pointCount - 1));
+        }
+        values[pointCount - 1] = end;
+        setParamValueCurve(param, values, scheduleTime, remaining);
+        break;
+      }
+        
+      case TransitionCurve.STEP: {
+        param.setValueAtTime(value, scheduleTime);
+        const stepDuration = segment.duration / segment.steps;
+        for (let i = 1; i < segment.steps; i++) {
+          const stepPosition = segment.time + i * stepDuration;
+          if (stepPosition <= position) continue;
+          // Sample mid-step so float error at the boundary can't pick the previous level
+          const stepValue = interpolateHz(segment.curve, start, end, (i + 0.5) / segment.steps, segment.steps);
+          param.setValueAtTime(stepValue, scheduleTime + (stepPosition - position));
+        }
+        break;
+      }
+        
+      default:
+        param.setValueAtTime(value, scheduleTime);
+        param.linearRampToValueAtTime(end, endTime);
+    }
+  }
+
+  /**
+   * Process segment tracking events within the lookahead window
+   * @param {number} scheduleUntil - Audio time to schedule up to
+   */
+  _processSegmentEvents(scheduleUntil) {
+    if (!this.isRunning) return;
+    
+    this._segmentEvents.forEachBetween(this._segmentCursor, scheduleUntil, (event) => {
+      // Skip events after a scheduled stop
+      if (this.getState(event.time) !== PlaybackState.STARTED) return;
+      this._scheduleSegmentCallback(event);
+    });
+    
+    this._segmentCursor = Math.max(this._segmentCursor, scheduleUntil);
+  }
+
+  /**
+   * Schedule dispatch of a segment tracking event at its audio time
+   * Its wave events go out now as WAVE_SCHEDULED, ahead of their audio, for audio listeners;
+   * the same events follow individually when heard (UI)
+   */
+  _scheduleSegmentCallback(event) {
+    const waveEvents = this._getWaveEvents(event);
+    if (waveEvents.length > 0) {
+      this._dispatchEvent(TimelineEvents.WAVE_SCHEDULED, { time: event.time, events: waveEvents });
+    }
+    
+    const entry = {
+      time: event.time,
+      dispatched: false,
+      dispatch: () => this._dispatchSegmentEvent(event, waveEvents)
+    };
+    entry.timeoutId = setTimeout(() => this._runScheduledDispatch(entry), this._getDispatchDelay(event.time));
+    
+    // Store so pending events can be withdrawn on pause/seek/stop (and delivered by a late tick)
+    this._waveEvents.add(entry);
+  }
+
+  /**
+   * Dispatch the events for a segment tracking entry
+   * Segment start: SEGMENT_CHANGED, then its wave events (WAVE_TYPE_CHANGED after HZ_CHANGED)
+   * Transition end: its wave event
+   * Band crossing (transition or graceful stop glide): WAVE_TYPE_CHANGED
+   * Loop boundary: LOOP
+   * @param {Object} event - Segment tracking entry
+   * @param {Array} waveEvents - _getWaveEvents(event), as announced in WAVE_SCHEDULED
+   */
+  _dispatchSegmentEvent(event, waveEvents) {
+    const { segment, time, position, hz } = event;
+    
+    if (event.kind === 'loop') {
+      if (this._pendingWrap && this._pendingWrap.time <= time) this._pendingWrap = null;
+      this._dispatchEvent(TimelineEvents.LOOP, {
+        time,
+        loopStart: event.loopStart,
+        loopEnd: event.loopEnd,
+        pass: event.pass,
+        performanceTime: this.getPerformanceTime(time)
+      });
+      return;
+    }
+    
+    if (event.kind === 'band') {
+      this._dispatchWaveTypeChanged(event.waveType, hz, time, segment ? segment.index : null);
+      return;
+    }
+    
+    if (event.kind === 'start') {
+      this.currentSegmentIndex = segment.index;
+      if (event.announce) {
+        this._dispatchSegmentChanged(segment, position, time);
+      }
+    }
+    
+    for (const { type, detail } of waveEvents) {
+      this._dispatchEvent(type, detail);
+      if (type === TimelineEvents.HZ_CHANGED) this._dispatchWaveTypeChanged(getWaveType(hz), hz, time, segment.index);
+    }
+  }
+
+  /**
+   * Wave events (audio automation) for a segment tracking entry, in dispatch order
+   * Segment start: HZ_CHANGED (+ TRANSITION_START for transitions, + lane events for lanes that change)
+   * Transition end: TRANSITION_END
+   * @param {Object} event - Segment tracking entry
+   * @returns {Array} [{ type, detail }] - empty for loop and band entries
+   */
+  _getWaveEvents(event) {
+    const { segment, time, position, hz } = event;
+    const performanceTime = this.getPerformanceTime(time);
+    
+    if (event.kind === 'end') {
+      return [{
+        type: TimelineEvents.TRANSITION_END,
+        detail: {
+          fromHz: segment.startHz,
+          toHz: segment.endHz,
+          endTime: time,
+          segmentIndex: segment.index,
+          performanceTime
+        }
+      }];
+    }
+    if (event.kind !== 'start') return [];
+    
+    const events = [{
+      type: TimelineEvents.HZ_CHANGED,
+      detail: {
+        hz,
+        time,
+        segmentIndex: segment.index,
+        wave_type: getWaveType(hz),
+        interval: calculatePulseInterval(hz, segment.pulseRatio),  // Pulse interval at this Hz (segment subdivision)
+        subdivision: segment.subdivision,
+        performanceTime
+      }
+    }];
+    
+    if (segment.type === 'transition') {
+      events.push({
+        type: TimelineEvents.TRANSITION_START,
+        detail: {
+          fromHz: hz,
+          toHz: segment.endHz,
+          duration: segment.time + segment.duration - position,
+          startTime: time,
+          curve: segment.curve,
+          steps: segment.steps,
+          segmentIndex: segment.index,
+          performanceTime
+        }
+      });
+    }
+    
+    return events.concat(this._getLaneEvents(segment, position, time));
+  }
+
+  /**
+   * Dispatch WAVE_TYPE_CHANGED if Hz is now in a different band than last announced
+   * @param {string} waveType - Band name (getWaveType)
+   * @param {number} hz - Hz at the change
+   * @param {number} time - Audio time
+   * @param {number|null} segmentIndex - Segment playing (null during a graceful stop)
+   */
+  _dispatchWaveTypeChanged(waveType, hz, time, segmentIndex) {
+    if (waveType === this.currentWaveType) return;
+    
+    const previous = this.currentWaveType;
+    this.currentWaveType = waveType;
+    const band = getBrainwaveBands().find(entry => entry.name === waveType) || null;
+    
+    this._dispatchEvent(TimelineEvents.WAVE_TYPE_CHANGED, {
+      wave_type: waveType,
+      previous,
+      band,
+      hz,
+      time,
+      segmentIndex,
+      performanceTime: this.getPerformanceTime(time)
+    });
+  }
+
+  /**
+   * 'timeline.lane.<lane>' events for each lane that changes in a segment
+   * (ramps, new plateau values) - every lane when entered mid-way or at the start
+   * @param {Object} segment - Compiled segment entered
+   * @param {number} position - Timeline position entered at
+   * @param {number} time - Audio time
+   * @returns {Array} [{ type, detail }]
+   */
+  _getLaneEvents(segment, position, time) {
+    const previous = this.compiledTimeline[this.compiledTimeline.indexOf(segment) - 1];
+    const entered = !previous || position > segment.time;
+    const events = [];
+    
+    for (const lane of Object.keys(LANE_DEFAULTS)) {
+      const { start, end } = segment.lanes[lane];
+      if (!entered && start === end && previous.lanes[lane].end === start) continue;
+      
+      events.push({
+        type: getLaneEventType(lane),
+        detail: {
+          lane,
+          value: this._getLaneValueAtTime(lane, position),
+          toValue: end,
+          duration: start === end ? 0 : segment.time + segment.duration - position,
+          curve: start === end ? null : segment.curve,
+          time,
+          segmentIndex: segment.index,
+          performanceTime: this.getPerformanceTime(time)
+        }
+      });
+    }
+    return events;
+  }
+
+  /**
+   * Cancel segment event callbacks scheduled at or after given time
+   * @param {number} time - Audio time threshold
+   */
+  _cancelPendingWaveEvents(time) {
+    let pending = false;
+    
+    this._waveEvents.forEachBetween(time, Infinity, (event) => {
+      clearTimeout(event.timeoutId);
+      pending = true;
+    });
+    this._waveEvents.cancel(time);
+    
+    // Audio listeners already have them (WAVE_SCHEDULED) - let them withdraw their automation
+    if (pending) {
+      this._dispatchEvent(TimelineEvents.WAVE_CANCELLED, { time });
     }
   }
 
@@ -359,9 +2547,14 @@ class JMTimeline {
 
   /**
    * Initialize pulse scheduling
+   * @param {number} fromPosition - Timeline position to schedule from (default: 0)
    */
-  _initializePulseBandScheduling() {
-    this._nextPulseTime = this.startTime;
+  _initializePulseBandScheduling(fromPosition = 0) {
+    const pulse = this._getPulseAtOrAfter(fromPosition);
+    this._pulsePhaseOffset = 0;
+    this._nextPulsePhase = pulse.index;
+    this._nextPulseTime = this.startTime + pulse.position;
+    this._nextPulseIndex = pulse.index;
     this._lastScheduledPulseTime = 0;
   }
 
@@ -371,49 +2564,110 @@ class JMTimeline {
   _processPulseBandEvents(scheduleUntil) {
     if (!this.isRunning) return;
     
-    const totalDuration = this.getTotalDuration();
+    const endPhase = this._getPulsePhaseAtTime(this.getTotalDuration());
+    const scheduled = [];
     
     while (this._nextPulseTime < scheduleUntil) {
       const timelinePos = this._nextPulseTime - this.startTime;
+      const gliding = this._gracefulStop !== null;
       
-      // Check if past timeline end
-      if (timelinePos > totalDuration) {
+      // Check if past timeline end - compared in phase like _getPulseAtOrAfter, so the ticker stops
+      // where compileForWorklet does and a pulse exactly at the end is not played
+      // (a graceful stop glides on past it)
+      if (this._nextPulsePhase - this._pulsePhaseOffset >= endPhase - 1e-9 && !gliding) {
+        break;
+      }
+      
+      // Check if transport is scheduled to stop before this pulse
+      if (this.getState(this._nextPulseTime) !== PlaybackState.STARTED) {
         break;
       }
       
       // Get current Hz
-      const currentHz = this._getHzAtTime(timelinePos);
+      const currentHz = gliding ? this._getGlideHz(this._nextPulseTime) : this._getHzAtTime(timelinePos);
+      const segment = gliding ? this._gracefulStop.segment : this._findSegmentAtTime(timelinePos);
       
       // Schedule this pulse
-      this._schedulePulseCallback(this._nextPulseTime, currentHz);
+      const pulse = this._schedulePulseCallback(this._nextPulseTime, currentHz, this._nextPulseIndex, segment, this._nextPulsePhase);
+      if (pulse) scheduled.push(pulse);
       
-      // Calculate next pulse time
-      this._nextPulseTime = this._getNextPulseTime(this._nextPulseTime, currentHz);
+      // Next pulse where the phase crosses the next whole pulse
+      this._nextPulsePhase++;
+      this._nextPulseTime = this._getPulseTimeAtPhase(this._nextPulsePhase);
+      this._nextPulseIndex++;
+    }
+    
+    // Announce the window ahead of its audio (listeners that render pulses themselves, e.g. worklets)
+    if (scheduled.length > 0) {
+      this._dispatchEvent(TimelineEvents.PULSE_SCHEDULED, { pulses: scheduled, scheduleUntil });
     }
   }
 
   /**
    * Schedule individual pulse callback
+   * @param {number} scheduleTime - Audio time of the pulse
+   * @param {number} hz - Beat Hz at the pulse
+   * @param {number} index - Pulse number from journey start (accent pattern step)
+   * @param {Object} segment - Compiled segment the pulse falls in (subdivision/accents)
+   * @param {number} phase - Running pulse phase (where the stream resumes if withdrawn)
+   * @returns {Object|null} Pulse detail, or null if a pulse is already scheduled at that time
    */
-  _schedulePulseCallback(scheduleTime, hz) {
+  _schedulePulseCallback(scheduleTime, hz, index, segment, phase) {
     const pulseKey = `${scheduleTime.toFixed(6)}`;
-    if (this._scheduledPulseKeys.has(pulseKey)) return;
+    if (this._scheduledPulseKeys.has(pulseKey)) return null;
     
     this._scheduledPulseKeys.add(pulseKey);
     
-    const delay = Math.max(0, (scheduleTime - this.audioContext.currentTime) * 1000);
-    const interval = calculate32nInterval(hz);
+    const pulse = {
+      time: scheduleTime,
+      hz: hz,
+      interval: calculatePulseInterval(hz, segment.pulseRatio),
+      pulseIndex: index,
+      subdivision: segment.subdivision,
+      accent: getPulseAccent(segment.accentPattern, index),
+      duty: this._getLaneValueAtTime(AutomationLane.ISO_DUTY, this._getPositionAtTime(scheduleTime)),
+      performanceTime: this.getPerformanceTime(scheduleTime)
+    };
     
-    setTimeout(() => {
-      if (!this.isRunning) return;
-      
-      this._dispatchEvent(TimelineEvents.PULSE_32N, {
-        time: scheduleTime,
-        hz: hz,
-        interval: interval,
+    const entry = {
+      time: scheduleTime,
+      hz,
+      index,
+      phase,
+      accent: pulse.accent,
+      key: pulseKey,
+      dispatched: false,
+      dispatch: () => this._dispatchEvent(TimelineEvents.PULSE_32N, {
+        ...pulse,
         pulseCount: this._scheduledPulseKeys.size
-      });
-    }, delay);
+      })
+    };
+    entry.timeoutId = setTimeout(() => this._runScheduledDispatch(entry), this._getDispatchDelay(scheduleTime));
+    
+    // Store so pending pulses can be withdrawn on pause/stop (and delivered by a late tick)
+    this._pulseEvents.add(entry);
+    return pulse;
+  }
+
+  /**
+   * Cancel pulse callbacks scheduled at or after given time
+   * @param {number} time - Audio time threshold
+   * @returns {Object|null} Earliest cancelled pulse, or null if none pending
+   */
+  _cancelPendingPulses(time) {
+    let firstPending = null;
+    
+    this._pulseEvents.forEachBetween(time, Infinity, (pulse) => {
+      clearTimeout(pulse.timeoutId);
+      this._scheduledPulseKeys.delete(pulse.key);
+      if (!firstPending) firstPending = pulse;
+    });
+    this._pulseEvents.cancel(time);
+    
+    if (firstPending) {
+      this._dispatchEvent(TimelineEvents.PULSE_CANCELLED, { time, pulseIndex: firstPending.index });
+    }
+    return firstPending;
   }
 
   // ============================================================================
@@ -430,37 +2684,203 @@ class JMTimeline {
   }
 
   /**
-   * Get current Hz
+   * Get current timeline position in seconds
+   */
+  getPosition() {
+    if (this.isPaused) return this._pausedPosition;
+    if (!this.isRunning) return this._cuePosition;
+    return this._getPositionAtTime(Math.max(this.audioContext.currentTime, this._playStartTime));
+  }
+
+  /**
+   * Get timeline position at an audio time while running
+   * Uses the previous pass until an armed loop wrap is reached
+   * @param {number} time - Audio time
+   */
+  _getPositionAtTime(time) {
+    const wrap = this._pendingWrap;
+    const origin = wrap && time < wrap.time ? wrap.previousStartTime : this.startTime;
+    return time - origin;
+  }
+
+  /**
+   * Get transport state at given audio time (default: now)
+   * Includes scheduled changes, e.g. "will the transport be running at time X?"
+   * @param {number} time - AudioContext time to query
+   * @returns {string} PlaybackState value
+   */
+  getState(time = this.audioContext.currentTime) {
+    return this._stateTimeline.getValueAtTime(time);
+  }
+
+  /**
+   * Get Hz at the current position (the cue position while stopped)
+   * @returns {number|null} null for an empty journey
    */
   getCurrentHz() {
-    if (!this.isRunning) return this.compiledTimeline[0]?.hz || 5.0;
-    const timelinePos = this.audioContext.currentTime - this.startTime;
-    return this._getHzAtTime(timelinePos);
+    return this._getHzAtTime(this.getPosition());
+  }
+
+  /**
+   * Get an automation lane's value at the current position
+   * @param {string} lane - AutomationLane value ('carrier', 'volume', 'crossfade', 'isoDuty', 'noise', 'hz')
+   */
+  getLaneValue(lane) {
+    this._checkLane(lane, true);
+    return this._getLaneValueAtTime(lane, this.getPosition());
+  }
+
+  /**
+   * Get a lane's virtual AudioParam (read .value, or inspect automation)
+   * @param {string} lane - AutomationLane value ('hz' returns the virtual Hz param)
+   * @returns {AudioParam}
+   */
+  getLaneParam(lane) {
+    this._checkLane(lane, true);
+    return this._laneSources[lane].offset;
+  }
+
+  /**
+   * Get the ConstantSourceNode behind a lane - connect it to an AudioParam to follow the
+   * lane at audio rate (set that param's own value to 0, the lane value is added to it)
+   * @param {string} lane - AutomationLane value
+   * @returns {ConstantSourceNode}
+   */
+  getLaneNode(lane) {
+    this._checkLane(lane, true);
+    return this._laneSources[lane];
+  }
+
+  // ============================================================================
+  // OUTPUT LATENCY
+  // ============================================================================
+
+  /**
+   * Seconds between audio being rendered (currentTime) and heard
+   * The outputLatency option if set, else the context's baseLatency + outputLatency
+   * (0 without latency compensation)
+   */
+  getOutputLatency() {
+    if (!this.latencyCompensation) return 0;
+    if (this.outputLatency !== null) return this.outputLatency;
+    return (this.audioContext.baseLatency || 0) + (this.audioContext.outputLatency || 0);
+  }
+
+  /**
+   * performance.now() time at which an audio time is heard
+   * Anchored on getOutputTimestamp() when the browser provides a live one (it already
+   * accounts for the output path), else on currentTime + getOutputLatency()
+   * @param {number} audioTime - AudioContext time
+   * @returns {number} Milliseconds on the performance.now() clock
+   */
+  getPerformanceTime(audioTime) {
+    const stamp = this._getOutputTimestamp();
+    if (stamp) return stamp.performanceTime + (audioTime - stamp.contextTime) * 1000;
+    return performance.now() + (audioTime - this.audioContext.currentTime + this.getOutputLatency()) * 1000;
+  }
+
+  /**
+   * Audio time being heard now (currentTime minus the output latency)
+   */
+  getAudibleTime() {
+    const stamp = this._getOutputTimestamp();
+    if (stamp) return stamp.contextTime + (performance.now() - stamp.performanceTime) / 1000;
+    return this.audioContext.currentTime - this.getOutputLatency();
+  }
+
+  /**
+   * Browser output timestamp, or null when it can't be used (compensation off, outputLatency
+   * overridden, unsupported, or zeros before the context has rendered)
+   * @private
+   */
+  _getOutputTimestamp() {
+    if (!this.latencyCompensation || this.outputLatency !== null) return null;
+    if (typeof this.audioContext.getOutputTimestamp !== 'function') return null;
+    
+    const stamp = this.audioContext.getOutputTimestamp();
+    return stamp && stamp.contextTime > 0 && stamp.performanceTime > 0 ? stamp : null;
+  }
+
+  /**
+   * setTimeout delay (ms) that dispatches an event when its audio time is heard
+   * @param {number} audioTime - AudioContext time of the event
+   */
+  _getDispatchDelay(audioTime) {
+    return Math.max(0, this.getPerformanceTime(audioTime) - performance.now());
+  }
+
+  /**
+   * Hold Hz and every lane at their values for a timeline position
+   * @param {number} position - Timeline position
+   * @param {number} time - Audio time to hold from
+   */
+  _holdParamsAt(position, time) {
+    const now = this.audioContext.currentTime;
+    for (const lane of Object.values(AutomationLane)) {
+      const param = this._laneSources[lane].offset;
+      cancelAndHoldParam(param, time, now);
+      param.setValueAtTime(this._getLaneValueAtTime(lane, position), time);
+    }
   }
 
   /**
-   * Dispatch event
+   * Dispatch segment changed event
+   * @param {Object} segment - Compiled segment now active
+   * @param {number} position - Timeline position in seconds
+   * @param {number} time - Audio time of the change
+   */
+  _dispatchSegmentChanged(segment, position, time) {
+    this._dispatchEvent(TimelineEvents.SEGMENT_CHANGED, {
+      segment,
+      segmentIndex: segment.index,
+      position,
+      time,
+      wave_type: getWaveType(this._getHzAtTime(position)),
+      performanceTime: this.getPerformanceTime(time)
+    });
+  }
+
+  /**
+   * Dispatch event on this timeline's bus (bridged to document if documentEvents)
    */
   _dispatchEvent(eventType, detail = {}) {
-    const event = new CustomEvent(eventType, { detail });
-    document.dispatchEvent(event);
+    this.dispatchEvent(eventType, detail);
   }
 
   /**
    * Clear event timelines
    */
   _clearEventTimelines() {
-    this._waveEvents = new Timeline({ memory: TIMELINE_CONSTANTS.MEMORY_LIMIT, increasing: true });
-    this._pulseEvents = new Timeline({ memory: TIMELINE_CONSTANTS.MEMORY_LIMIT / 2, increasing: true });
-    this._segmentEvents = new Timeline({ memory: 100, increasing: true });
+    this._waveEvents = new Timeline({ memory: Infinity, increasing: true });
+    this._pulseEvents = new Timeline({ memory: Infinity, increasing: true });
+    this._segmentEvents = new Timeline({ memory: Infinity, increasing: true });
   }
 
   /**
-   * Dispose timeline
+   * Dispose timeline and every registered listener
    */
   dispose() {
     this.stop();
+    
+    // Registered listeners (synths) go with the timeline
+    const listeners = this._listeners;
+    this._listeners = [];
+    for (const entry of listeners) {
+      entry.listener.timeline = null;
+      this._callListener(entry, 'dispose');
+    }
+    
+    this._ticker.dispose();
+    this._stopVisualLoop();
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    }
     this._clearEventTimelines();
+    this._stateTimeline.dispose();
     this._virtualHzParam.value = 0;
+    for (const source of Object.values(this._laneSources)) source.stop();
+    this._laneSources = {};
+    this._envelopeSource.stop();
+    super.dispose();
   }
 }
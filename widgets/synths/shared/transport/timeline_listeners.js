@@ -3,13 +3,14 @@
  * 
  * PURPOSE:
  * Provides base classes for synths to connect to the JourneyMap timeline engine.
- * Uses document events for loose coupling between timeline and synthesis modules.
+ * Listeners attach to a timeline instance's event bus (or document events for
+ * legacy global wiring) for loose coupling between timeline and synthesis modules.
  * 
  * ARCHITECTURE OVERVIEW:
  * ┌──────────────────────────────────────────────────────────────┐
  * │ Timeline Engine (JMTimeline)                                 │
  * │ • Manages timeline segments (plateaus/transitions)           │
- * │ • Dispatches events via document.dispatchEvent()             │
+ * │ • Dispatches events on its own bus (TimelineEmitter)         │
  * └──────────────────────────────────────────────────────────────┘
  *                          ↓ (events)
  * ┌──────────────────────────────────────────────────────────────┐
@@ -18,6 +19,7 @@
  * │ • WaveBandListener: Continuous Hz automation                 │
  * │ • PulseBandListener: Discrete rhythmic triggers              │
  * │ • DualBandListener: Both Hz and pulse events                 │
+ * │ • LaneListener: Carrier/volume/crossfade/duty/noise lanes    │
  * └──────────────────────────────────────────────────────────────┘
  *                          ↓ (inheritance)
  * ┌──────────────────────────────────────────────────────────────┐
@@ -31,12 +33,12 @@
  * 
  * 1. WAVE BAND (Continuous Frequency Automation)
  *    - Use for: Binaural beats, carrier oscillators, frequency-modulated synths
- *    - Events: Hz changes with Web Audio scheduling times
+ *    - Events: Hz changes with Web Audio scheduling times, at lookahead (timeline.wave.scheduled)
  *    - Override: onHzChanged(hz, time, waveType)
  * 
  * 2. PULSE BAND (Discrete Rhythmic Triggers)
  *    - Use for: ISO pulses, percussion, rhythmic gating, event triggers
- *    - Events: 32nd-note-aligned pulse triggers
+ *    - Events: 32nd-note-aligned pulse triggers, at lookahead (timeline.pulse.scheduled)
  *    - Override: onPulse32n(time, hz, interval, pulseCount)
  * 
  * 3. DUAL BAND (Both Continuous and Rhythmic)
@@ -44,10 +46,27 @@
  *    - Combines both Wave and Pulse band events
  *    - Override: Both wave and pulse methods
  * 
+ * 4. AUTOMATION LANES (Per-Segment Parameters Besides Hz)
+ *    - Use for: Carrier frequency, master volume, binaural/ISO crossfade, ISO duty, noise level
+ *    - Events: One event type per lane - subscribe only to the lanes you use
+ *    - Override: onLaneChanged(lane, value, time, detail)
+ * 
+ * LOOKAHEAD:
+ *    Audio override points run when the timeline schedules an event, ahead of its audio
+ *    time, so automation and nodes are in place before it is heard. The individual events
+ *    (timeline.hz.changed, timeline.pulse.32n, ...) are dispatched when heard - UI only.
+ *    Withdrawn events (pause, stop, seek, edit, loop) arrive as onWaveEventsCancelled() /
+ *    onPulsesCancelled() - cancel what was scheduled from that time on.
+ * 
+ * REGISTRATION:
+ *    - timeline.addListener(synth, { priority, bands }) attaches a listener to the timeline,
+ *      starts it listening and drives its plugin lifecycle (prepare/start/stop/seek/dispose)
+ *    - timeline.dispose() disposes every registered listener - no manual cleanup
+ * 
  * REFERENCE: Inspired by Tone.js Transport patterns
  * - Transport.scheduleRepeat() → our PulseBandListener
  * - Signal automation → our WaveBandListener
- * - Document events replace direct callbacks for decoupling
+ * - Per-timeline events (Tone.js Emitter) replace direct callbacks for decoupling
  */
 
 /**
@@ -61,13 +80,15 @@
  * • Automatic event listener cleanup (prevents memory leaks)
  * • Optional auto-start/stop tied to timeline transport
  * • Timeline state tracking (Hz, waveType, running/stopped)
+ * • Session envelope (fade-in/out, graceful stop) shared by every synth on the timeline
+ * • Plugin lifecycle hooks when registered with timeline.addListener()
  * • Subclass override points for custom behavior
  * 
  * USAGE:
  * ```javascript
  * class MySynth extends TimelineListener {
- *   constructor(audioContext) {
- *     super(audioContext, { autoStart: true });
+ *   constructor(audioContext, timeline) {
+ *     super(audioContext, { autoStart: true, timeline });
  *   }
  *   
  *   onTimelineStart(detail) {
@@ -77,12 +98,24 @@
  *   onTimelineStop(detail) {
  *     // Stop and cleanup here
  *   }
+ *   
+ *   onEnvelopeChanged(value, time, detail) {
+ *     this.scheduleEnvelope(this.output.gain, detail);  // Follow the session fades
+ *   }
  * }
+ * 
+ * await timeline.addListener(new MySynth(audioContext, timeline));  // Disposed by timeline.dispose()
  * ```
  * 
+ * PLUGIN LIFECYCLE (registered listeners only):
+ * The timeline calls prepare() when the listener is added, then start()/stop()/seek()
+ * directly - in priority order, before the matching event - and dispose() from
+ * timeline.dispose(). A disabled listener (timeline.setListenerEnabled) receives nothing.
+ * 
  * OPTIONS:
  * • autoStart (default: true) - Automatically call onTimelineStart() when timeline starts
  * • autoStop (default: true) - Automatically call onTimelineStop() when timeline stops
+ * • timeline (default: document) - JMTimeline (or any EventTarget) to receive events from
  */
 class TimelineListener {
   constructor(audioContext, options = {}) {
@@ -90,6 +123,9 @@ class TimelineListener {
     this.isListening = false;
     this.eventHandlers = new Map();
     
+    // Event source - a timeline instance, falling back to global document events
+    this.eventSource = options.timeline || (typeof document !== 'undefined' ? document : null);
+    
     // Automatic synth lifecycle management
     this.autoStart = options.autoStart !== false;
     this.autoStop = options.autoStop !== false;
@@ -98,6 +134,12 @@ class TimelineListener {
     this.currentHz = 0;
     this.currentWaveType = "UNKNOWN";
     this.timelineRunning = false;
+    this.envelopeValue = 1;
+    
+    // Registration (set by timeline.addListener)
+    this.timeline = null;           // Timeline this listener is registered with
+    this.priority = 0;              // Event/lifecycle order - higher first
+    this.bands = null;              // TimelineBand values to receive (null: all)
     
     this._setupBaseEventListeners();
   }
@@ -122,8 +164,25 @@ class TimelineListener {
     });
 
     this._addEventHandler('timeline.paused', (event) => {
+      this.timelineRunning = false;
       this.onTimelinePause(event.detail);
     });
+
+    this._addEventHandler('timeline.resumed', (event) => {
+      this.timelineRunning = true;
+      this.onTimelineResume(event.detail);
+    });
+
+    // Session envelope and graceful stop (same master envelope for every synth)
+    this._addEventHandler('timeline.envelope', (event) => {
+      const { value, time } = event.detail;
+      this.envelopeValue = value;
+      this.onEnvelopeChanged(value, time, event.detail);
+    });
+
+    this._addEventHandler('timeline.stopping', (event) => {
+      this.onTimelineStopping(event.detail);
+    });
   }
 
   /**
@@ -134,14 +193,54 @@ class TimelineListener {
     if (this.eventHandlers.has(eventType)) {
       // Remove existing handler
       const oldHandler = this.eventHandlers.get(eventType);
-      document.removeEventListener(eventType, oldHandler);
+      this.eventSource?.removeEventListener(eventType, oldHandler);
     }
     
     // Add new handler
-    document.addEventListener(eventType, handler);
+    this.eventSource?.addEventListener(eventType, handler, { priority: this.priority });
     this.eventHandlers.set(eventType, handler);
   }
 
+  /**
+   * Move all event handlers to another timeline
+   * @param {JMTimeline|EventTarget|null} timeline - New event source (null: document)
+   */
+  setTimeline(timeline) {
+    const source = timeline || (typeof document !== 'undefined' ? document : null);
+    if (source === this.eventSource) return;
+    
+    for (const [eventType, handler] of this.eventHandlers) {
+      this.eventSource?.removeEventListener(eventType, handler);
+      source?.addEventListener(eventType, handler, { priority: this.priority });
+    }
+    this.eventSource = source;
+  }
+
+  /**
+   * Attach all event handlers to a timeline (used by timeline.addListener)
+   * @param {JMTimeline} timeline - Event source
+   * @param {Object} options - { priority, bands } - see timeline.addListener()
+   */
+  attach(timeline, { priority = 0, bands = null } = {}) {
+    this.detach();
+    this.priority = priority;
+    this.bands = bands;
+    for (const [eventType, handler] of this.eventHandlers) {
+      timeline.addEventListener(eventType, handler, { priority });
+    }
+    this.eventSource = timeline;
+  }
+
+  /**
+   * Detach all event handlers from the event source (handlers are kept for attach())
+   */
+  detach() {
+    for (const [eventType, handler] of this.eventHandlers) {
+      this.eventSource?.removeEventListener(eventType, handler);
+    }
+    this.eventSource = null;
+  }
+
   /**
    * Start listening to timeline events
    */
@@ -158,6 +257,52 @@ class TimelineListener {
     console.log(`${this.constructor.name} stopped listening to timeline`);
   }
 
+  /**
+   * Check whether events of a band reach the override points
+   * @param {string} band - TimelineBand value
+   * @returns {boolean} Listening, and band is in the registered bands (or no bands given)
+   */
+  isListeningTo(band) {
+    return this.isListening && (!this.bands || this.bands.includes(band));
+  }
+
+  /**
+   * PLUGIN LIFECYCLE - called by the timeline this listener is registered with
+   */
+
+  /**
+   * Called once when added with timeline.addListener() - create nodes, load worklets
+   * @param {JMTimeline} timeline - Registering timeline
+   * @returns {Promise|undefined} timeline.addListener() resolves after it settles
+   */
+  prepare(timeline) {
+    // Override in subclass
+  }
+
+  /**
+   * Called when the timeline starts, or when the listener is added/enabled while it runs
+   * @param {Object} detail - { startTime, position, performanceTime }
+   */
+  start(detail) {
+    // Override in subclass
+  }
+
+  /**
+   * Called when the timeline stops, or when the listener is removed/disabled while it runs
+   * @param {Object} detail - { stopTime, performanceTime }
+   */
+  stop(detail) {
+    // Override in subclass
+  }
+
+  /**
+   * Called after timeline.seek() - running, paused or stopped
+   * @param {Object} detail - { position, time, isRunning }
+   */
+  seek(detail) {
+    // Override in subclass
+  }
+
   /**
    * Override these methods in subclasses
    */
@@ -173,12 +318,49 @@ class TimelineListener {
     // Override in subclass
   }
 
+  onTimelineResume(detail) {
+    // Override in subclass
+  }
+
   /**
-   * Clean up event listeners
+   * Called when the session envelope is (re)scheduled - start, fades, seek, pause, graceful stop
+   * @param {number} value - Envelope (0-1) at time
+   * @param {number} time - Web Audio time the new envelope starts
+   * @param {Object} detail - { points } - [{ time, value }] to ramp through linearly
+   */
+  onEnvelopeChanged(value, time, detail) {
+    // Override in subclass (scheduleEnvelope() applies it to a gain)
+  }
+
+  /**
+   * Called when timeline.stopGracefully() starts
+   * @param {Object} detail - { time, stopTime, duration, fromHz, toHz }
+   */
+  onTimelineStopping(detail) {
+    // Override in subclass
+  }
+
+  /**
+   * Schedule a timeline.envelope detail on an AudioParam (e.g. an output gain)
+   * @param {AudioParam} param - Param to automate
+   * @param {Object} detail - { time, value, points } from onEnvelopeChanged()
+   */
+  scheduleEnvelope(param, { time, value, points }) {
+    const startTime = Math.max(time, this.audioContext.currentTime);
+    cancelAndHoldParam(param, startTime, this.audioContext.currentTime);
+    param.setValueAtTime(value, startTime);
+    for (const point of points) {
+      param.linearRampToValueAtTime(point.value, point.time);
+    }
+  }
+
+  /**
+   * Clean up event listeners (and leave the timeline's registry)
    */
   dispose() {
+    this.timeline?.removeListener(this);
     for (const [eventType, handler] of this.eventHandlers) {
-      document.removeEventListener(eventType, handler);
+      this.eventSource?.removeEventListener(eventType, handler);
     }
     this.eventHandlers.clear();
     this.isListening = false;
@@ -199,20 +381,22 @@ class TimelineListener {
  * • Any parameter that follows timeline Hz smoothly
  * 
  * EVENTS RECEIVED:
- * • timeline.hz.changed - Sample-accurate Hz changes (use for audio-rate automation)
+ * • timeline.wave.scheduled - Hz changes and transition starts at lookahead (use for audio-rate automation)
+ * • timeline.wave.cancelled - Scheduled Hz changes from a time on withdrawn
+ * • timeline.hz.changed - Hz when heard (tracks getCurrentHz())
  * • timeline.hz.visual - 60fps smooth updates (use for visual feedback only)
- * • timeline.transition.start - Notification when Hz begins ramping
- * • timeline.wave_type.changed - Brainwave band changes (DELTA/THETA/ALPHA/etc)
+ * • timeline.wave_type.changed - Brainwave band changes (band table in timeline_bands.js)
  * 
  * USAGE EXAMPLE:
  * ```javascript
  * class BinauralSynth extends WaveBandListener {
  *   onHzChanged(hz, time, waveType) {
- *     // Schedule smooth ramp at exact Web Audio time
- *     this.oscillator.frequency.linearRampToValueAtTime(
- *       hz, 
- *       time
- *     );
+ *     // Set the beat at exact Web Audio time
+ *     this.beatSource.offset.setValueAtTime(hz, time);
+ *   }
+ *   onTransitionStart(fromHz, toHz, duration, startTime, detail) {
+ *     // Follow the transition's curve
+ *     this.scheduleTransition(this.beatSource.offset, detail);
  *   }
  * }
  * ```
@@ -240,22 +424,38 @@ class WaveBandListener extends TimelineListener {
    * @private
    */
   _setupWaveBandListeners() {
-    // Sample-accurate Hz changes for audio-rate automation
+    // Sample-accurate Hz changes and transitions for audio-rate automation, ahead of their audio
+    this._addEventHandler('timeline.wave.scheduled', (event) => {
+      if (!this.isListeningTo(TimelineBand.WAVE)) return;
+      
+      for (const { type, detail } of event.detail.events) {
+        if (type === 'timeline.hz.changed' && (this.updateMode === 'audio' || this.updateMode === 'both')) {
+          this.onHzChanged(detail.hz, detail.time, detail.wave_type);
+        } else if (type === 'timeline.transition.start' && this.smoothTransitions) {
+          const { fromHz, toHz, duration, startTime } = detail;
+          this.onTransitionStart(fromHz, toHz, duration, startTime, detail);
+        }
+      }
+    });
+
+    this._addEventHandler('timeline.wave.cancelled', (event) => {
+      if (!this.isListeningTo(TimelineBand.WAVE)) return;
+      
+      this.onWaveEventsCancelled(event.detail.time, event.detail);
+    });
+
+    // Hz when heard - current Hz/band state
     this._addEventHandler('timeline.hz.changed', (event) => {
-      if (!this.isListening) return;
+      if (!this.isListeningTo(TimelineBand.WAVE)) return;
       
-      const { hz, time, wave_type } = event.detail;
+      const { hz, wave_type } = event.detail;
       this.currentHz = hz;
       this.currentWaveType = wave_type;
-      
-      if (this.updateMode === 'audio' || this.updateMode === 'both') {
-        this.onHzChanged(hz, time, wave_type);
-      }
     });
 
     // Visual-rate Hz updates (60fps) for UI/feedback
     this._addEventHandler('timeline.hz.visual', (event) => {
-      if (!this.isListening) return;
+      if (!this.isListeningTo(TimelineBand.WAVE)) return;
       
       const { hz, wave_type, time } = event.detail;
       
@@ -264,24 +464,13 @@ class WaveBandListener extends TimelineListener {
       }
     });
 
-    // Transition start notifications
-    this._addEventHandler('timeline.transition.start', (event) => {
-      if (!this.isListening) return;
-      
-      const { fromHz, toHz, duration, startTime } = event.detail;
-      
-      if (this.smoothTransitions) {
-        this.onTransitionStart(fromHz, toHz, duration, startTime);
-      }
-    });
-
     // Brainwave band changes
     this._addEventHandler('timeline.wave_type.changed', (event) => {
-      if (!this.isListening) return;
+      if (!this.isListeningTo(TimelineBand.WAVE)) return;
       
       const { wave_type, hz } = event.detail;
       this.currentWaveType = wave_type;
-      this.onWaveTypeChanged(wave_type, hz);
+      this.onWaveTypeChanged(wave_type, hz, event.detail);
     });
   }
 
@@ -290,15 +479,25 @@ class WaveBandListener extends TimelineListener {
    */
   
   /**
-   * Called when Hz changes (sample-accurate, use for audio automation)
+   * Called when an Hz change is scheduled, ahead of its time (sample-accurate, use for audio automation)
    * @param {number} hz - New Hz value
    * @param {number} time - Web Audio scheduled time for the change
-   * @param {string} waveType - Brainwave band (DELTA/THETA/ALPHA/SMR/BETA)
+   * @param {string} waveType - Brainwave band (DELTA/THETA/ALPHA/SMR/BETA/GAMMA)
    */
   onHzChanged(hz, time, waveType) {
     // Override in subclass for sample-accurate Hz automation
   }
 
+  /**
+   * Called when scheduled Hz changes/transitions are withdrawn - hold what was scheduled from `time` on
+   * (the timeline schedules their replacements, if any, afterwards)
+   * @param {number} time - Web Audio time events are withdrawn from (at or after it)
+   * @param {Object} detail - { time }
+   */
+  onWaveEventsCancelled(time, detail) {
+    // Override in subclass alongside onHzChanged()/onTransitionStart()
+  }
+
   /**
    * Called on visual update cycle (60fps, use for UI feedback only)
    * @param {number} hz - Current Hz value
@@ -310,22 +509,24 @@ class WaveBandListener extends TimelineListener {
   }
 
   /**
-   * Called when transition begins (optional, for transition-aware synthesis)
+   * Called when a transition is scheduled, ahead of its start (optional, for transition-aware synthesis)
    * @param {number} fromHz - Starting Hz
    * @param {number} toHz - Target Hz  
    * @param {number} duration - Transition duration in seconds
    * @param {number} startTime - Web Audio time when transition starts
+   * @param {Object} detail - Event detail ({ curve, steps, segmentIndex, ... }) - see scheduleTransition()
    */
-  onTransitionStart(fromHz, toHz, duration, startTime) {
+  onTransitionStart(fromHz, toHz, duration, startTime, detail) {
     // Override in subclass for transition awareness
   }
 
   /**
-   * Called when brainwave band changes
+   * Called when brainwave band changes (at plateaus and where transitions cross a band edge)
    * @param {string} waveType - New brainwave band
    * @param {number} hz - Current Hz when band changed
+   * @param {Object} detail - Event detail ({ previous, band, time, segmentIndex, ... })
    */
-  onWaveTypeChanged(waveType, hz) {
+  onWaveTypeChanged(waveType, hz, detail) {
     // Override in subclass for band-aware behavior
   }
 
@@ -343,11 +544,67 @@ class WaveBandListener extends TimelineListener {
 
   /**
    * Get current brainwave band from timeline
-   * @returns {string} Current wave type (DELTA/THETA/ALPHA/SMR/BETA)
+   * @returns {string} Current wave type (DELTA/THETA/ALPHA/SMR/BETA/GAMMA)
    */
   getCurrentWaveType() {
     return this.currentWaveType;
   }
+
+  /**
+   * Schedule a timeline.transition.start detail on an AudioParam (e.g. a beat Hz offset)
+   * Follows the transition curve from its audio time - a late event joins part-way along it
+   * @param {AudioParam} param - Param to automate
+   * @param {Object} detail - { fromHz, toHz, duration, startTime, curve, steps } from onTransitionStart()
+   */
+  scheduleTransition(param, { fromHz, toHz, duration, startTime, curve = TransitionCurve.LINEAR, steps = TIMELINE_CONSTANTS.DEFAULT_STEPS }) {
+    const time = Math.max(startTime, this.audioContext.currentTime);
+    const endTime = startTime + duration;
+    const remaining = endTime - time;
+    const hzAt = (t) => interpolateHz(curve, fromHz, toHz, duration > 0 ? (t - startTime) / duration : 1, steps);
+    
+    cancelAndHoldParam(param, time, this.audioContext.currentTime);
+    if (remaining <= 0) {
+      param.setValueAtTime(toHz, time);
+      return;
+    }
+    
+    switch (curve) {
+      case TransitionCurve.EXPONENTIAL:
+        param.setValueAtTime(hzAt(time), time);
+        if (fromHz > 0 && toHz > 0) param.exponentialRampToValueAtTime(toHz, endTime);
+        else param.linearRampToValueAtTime(toHz, endTime);
+        break;
+        
+      case TransitionCurve.LOGARITHMIC:
+      case TransitionCurve.EASE_IN_OUT: {
+        const pointCount = Math.min(
+          TIMELINE_CONSTANTS.CURVE_MAX_POINTS,
+          Math.max(2, Math.ceil(remaining * TIMELINE_CONSTANTS.CURVE_POINTS_PER_SECOND))
+        );
+        const values = new Float32Array(pointCount);
+        for (let i = 0; i < pointCount; i++) {
+          values[i] = hzAt(time + remaining * i / (pointCount - 1));
+        }
+        setParamValueCurve(param, values, time, remaining);
+        break;
+      }
+        
+      case TransitionCurve.STEP: {
+        const stepDuration = duration / steps;
+        param.setValueAtTime(hzAt(time), time);
+        for (let i = 1; i < steps; i++) {
+          const stepTime = startTime + i * stepDuration;
+          // Sample mid-step so float error at the boundary can't pick the previous level
+          if (stepTime > time) param.setValueAtTime(hzAt(stepTime + stepDuration / 2), stepTime);
+        }
+        break;
+      }
+        
+      default:
+        param.setValueAtTime(hzAt(time), time);
+        param.linearRampToValueAtTime(toHz, endTime);
+    }
+  }
 }
 
 /**
@@ -364,27 +621,30 @@ class WaveBandListener extends TimelineListener {
  * • Event-driven synthesis (trigger notes, samples, etc)
  * 
  * PULSE TIMING:
- * Pulses fire at 32nd-note boundaries relative to timeline Hz:
- * • At 2Hz: pulse every 125ms (8 pulses per second)
- * • At 10Hz: pulse every 25ms (40 pulses per second)  
- * • Formula: interval = 1 / (Hz × 4)
+ * Pulses fire at the timeline's subdivision of the beat Hz (32n by default):
+ * • 32n at 2Hz: pulse every 250ms (4 pulses per second)
+ * • 32n at 10Hz: pulse every 50ms (20 pulses per second)
+ * • Formula: interval = 1 / (Hz × pulses per cycle) - 8n 0.5, 16n 1, 32n 2, 16t 1.5, 16n. 2/3
+ * • Accent patterns arrive as pattern.accent (0-1) on each pulse
  * 
- * NOTE: Current implementation uses discrete Hz snapshots during transitions.
- * Future enhancement: Trapezoidal integration for smooth pulse rate changes.
+ * During transitions pulses follow the integrated beat phase (pulse N where the phase crosses N),
+ * so pulse.interval is the instantaneous interval at the pulse, not the gap to the next one.
  * 
  * EVENTS RECEIVED:
- * • timeline.pulse.32n - Sample-accurate pulse triggers with Hz context
+ * • timeline.pulse.scheduled - Each lookahead window of pulses, as soon as the ticker schedules it
+ *   (ahead of the audio) - onPulsesScheduled() for the window, then onPulse32n() per pulse
+ * • timeline.pulse.cancelled - Scheduled pulses from a time on withdrawn (pause, stop, seek, edit, loop)
  * • timeline.pulse.flash - Visual pulse events (for UI feedback)
  * • timeline.hz.changed - Monitors Hz to track pulse rate changes
  * 
  * USAGE EXAMPLE:
  * ```javascript
  * class ISOSynth extends PulseBandListener {
- *   onPulse32n(time, hz, interval, pulseCount) {
+ *   onPulse32n(time, hz, interval, pulseCount, { duty }) {
  *     // Create fresh oscillator at scheduled time
  *     const osc = this.audioContext.createOscillator();
  *     osc.start(time);
- *     osc.stop(time + interval / 2); // 50% duty cycle
+ *     osc.stop(time + interval * duty); // isoDuty lane
  *   }
  * }
  * ```
@@ -407,6 +667,7 @@ class PulseBandListener extends TimelineListener {
     this.pulseCount = 0;
     this.lastPulseTime = 0;
     this.currentPulseInterval = 0;
+    this._rateInterval = 0;  // Interval last passed to onPulseRateChanged()
     
     this._setup32nBandListeners();
   }
@@ -416,23 +677,33 @@ class PulseBandListener extends TimelineListener {
    * @private
    */
   _setup32nBandListeners() {
-    // Sample-accurate pulse triggers
-    this._addEventHandler('timeline.pulse.32n', (event) => {
-      if (!this.isListening) return;
+    // Lookahead windows - scheduled pulses, ahead of their audio, then sample-accurate triggers per pulse
+    this._addEventHandler('timeline.pulse.scheduled', (event) => {
+      if (!this.isListeningTo(TimelineBand.PULSE)) return;
       
-      const { time, hz, interval } = event.detail;
-      this.pulseCount++;
-      this.lastPulseTime = time;
-      this.currentPulseInterval = interval;
+      this.onPulsesScheduled(event.detail.pulses, event.detail);
       
-      if (this.accuracyMode === 'sample') {
-        this.onPulse32n(time, hz, interval, this.pulseCount);
+      for (const pulse of event.detail.pulses) {
+        const { time, hz, interval, accent = 1, subdivision = '32n', pulseIndex, duty = LANE_DEFAULTS.isoDuty } = pulse;
+        this.pulseCount++;
+        this.lastPulseTime = time;
+        this.currentPulseInterval = interval;
+        
+        if (this.accuracyMode === 'sample') {
+          this.onPulse32n(time, hz, interval, this.pulseCount, { accent, subdivision, pulseIndex, duty });
+        }
       }
     });
 
+    this._addEventHandler('timeline.pulse.cancelled', (event) => {
+      if (!this.isListeningTo(TimelineBand.PULSE)) return;
+      
+      this.onPulsesCancelled(event.detail.time, event.detail);
+    });
+
     // Visual pulse flash events
     this._addEventHandler('timeline.pulse.flash', (event) => {
-      if (!this.isListening || !this.enableFlash) return;
+      if (!this.isListeningTo(TimelineBand.PULSE) || !this.enableFlash) return;
       
       const { time, hz } = event.detail;
       
@@ -443,14 +714,14 @@ class PulseBandListener extends TimelineListener {
 
     // Monitor Hz changes to track pulse rate changes
     this._addEventHandler('timeline.hz.changed', (event) => {
-      if (!this.isListening) return;
+      if (!this.isListeningTo(TimelineBand.PULSE)) return;
       
-      const { hz, time } = event.detail;
-      const newInterval = 1 / (hz * 4); // 32n interval: 1/(Hz × 4)
+      // Pulse interval at the segment's subdivision - 32n for sources that don't send one
+      const { hz, time, interval = calculatePulseInterval(hz) } = event.detail;
       
-      if (Math.abs(newInterval - this.currentPulseInterval) > 0.001) {
-        this.currentPulseInterval = newInterval;
-        this.onPulseRateChanged(hz, newInterval, time);
+      if (Math.abs(interval - this._rateInterval) > 0.001) {
+        this._rateInterval = interval;
+        this.onPulseRateChanged(hz, interval, time);
       }
     });
   }
@@ -460,16 +731,38 @@ class PulseBandListener extends TimelineListener {
    */
   
   /**
-   * Called on each 32nd-note pulse (sample-accurate, use for audio triggers)
+   * Called on each pulse when it is scheduled, ahead of its time (sample-accurate, use for audio triggers)
    * @param {number} time - Web Audio scheduled time for this pulse
    * @param {number} hz - Current timeline Hz at pulse time
    * @param {number} interval - Time until next pulse (seconds)
    * @param {number} pulseCount - Sequential pulse number (starts at 1)
+   * @param {Object} pattern - { accent (0-1 level), subdivision ('32n', '16t', ...), pulseIndex,
+   *                           duty (tone length as a fraction of interval - isoDuty lane) }
    */
-  onPulse32n(time, hz, interval, pulseCount) {
+  onPulse32n(time, hz, interval, pulseCount, pattern) {
     // Override in subclass for sample-accurate pulse triggers
   }
 
+  /**
+   * Called when the ticker schedules a lookahead window, before any of it is heard
+   * (onPulse32n() follows for each pulse of the window)
+   * @param {Array} pulses - [{ time, hz, interval, pulseIndex, subdivision, accent, duty, performanceTime }]
+   * @param {Object} detail - { pulses, scheduleUntil }
+   */
+  onPulsesScheduled(pulses, detail) {
+    // Override in subclass to render pulses ahead (worklets, sample players)
+  }
+
+  /**
+   * Called when scheduled pulses are withdrawn - drop everything queued from `time` on
+   * (the timeline schedules their replacements, if any, in later windows)
+   * @param {number} time - Web Audio time pulses are withdrawn from (at or after it)
+   * @param {Object} detail - { time, pulseIndex } - pulseIndex of the first withdrawn pulse
+   */
+  onPulsesCancelled(time, detail) {
+    // Override in subclass alongside onPulsesScheduled()
+  }
+
   /**
    * Called on visual pulse flash (for UI feedback only, not audio)
    * @param {number} time - Current time
@@ -548,12 +841,14 @@ class DualBandListener extends TimelineListener {
     // Create internal band listeners (not directly exposed)
     this.waveBand = new WaveBandListener(audioContext, {
       ...options.wave,
+      timeline: options.timeline,
       autoStart: false,
       autoStop: false
     });
     
     this.pulseBand = new PulseBandListener(audioContext, {
       ...options.pulse,
+      timeline: options.timeline,
       autoStart: false,
       autoStop: false
     });
@@ -571,18 +866,26 @@ class DualBandListener extends TimelineListener {
       this.onWaveBandHz(hz, time, waveType);
     };
     
-    this.waveBand.onTransitionStart = (fromHz, toHz, duration, startTime) => {
-      this.onWaveBandTransition(fromHz, toHz, duration, startTime);
+    this.waveBand.onTransitionStart = (fromHz, toHz, duration, startTime, detail) => {
+      this.onWaveBandTransition(fromHz, toHz, duration, startTime, detail);
+    };
+    
+    this.waveBand.onWaveEventsCancelled = (time, detail) => {
+      this.onWaveBandCancelled(time, detail);
     };
     
     // Forward 32n Band events
-    this.pulseBand.onPulse32n = (time, hz, interval, pulseCount) => {
-      this.onPulseBand32n(time, hz, interval, pulseCount);
+    this.pulseBand.onPulse32n = (time, hz, interval, pulseCount, pattern) => {
+      this.onPulseBand32n(time, hz, interval, pulseCount, pattern);
     };
     
     this.pulseBand.onPulseRateChanged = (hz, interval, time) => {
       this.onPulseBandRateChanged(hz, interval, time);
     };
+    
+    this.pulseBand.onPulsesCancelled = (time, detail) => {
+      this.onPulseBandCancelled(time, detail);
+    };
   }
 
   /**
@@ -605,19 +908,30 @@ class DualBandListener extends TimelineListener {
    * @param {number} toHz - Target Hz
    * @param {number} duration - Transition duration (seconds)
    * @param {number} startTime - Web Audio start time
+   * @param {Object} detail - Event detail ({ curve, steps, ... })
    */
-  onWaveBandTransition(fromHz, toHz, duration, startTime) {
+  onWaveBandTransition(fromHz, toHz, duration, startTime, detail) {
     // Override in subclass for Wave Band transitions
   }
 
+  /**
+   * Called when scheduled Wave Band Hz changes/transitions are withdrawn
+   * @param {number} time - Web Audio time withdrawn from
+   * @param {Object} detail - { time }
+   */
+  onWaveBandCancelled(time, detail) {
+    // Override in subclass alongside onWaveBandHz()/onWaveBandTransition()
+  }
+
   /**
    * Called on each Pulse Band 32nd-note trigger
    * @param {number} time - Web Audio scheduled time
    * @param {number} hz - Current Hz
    * @param {number} interval - Interval to next pulse
    * @param {number} pulseCount - Sequential pulse number
+   * @param {Object} pattern - { accent, subdivision, pulseIndex, duty }
    */
-  onPulseBand32n(time, hz, interval, pulseCount) {
+  onPulseBand32n(time, hz, interval, pulseCount, pattern) {
     // Override in subclass for Pulse Band triggers
   }
 
@@ -631,6 +945,15 @@ class DualBandListener extends TimelineListener {
     // Override in subclass for Pulse Band rate changes
   }
 
+  /**
+   * Called when scheduled Pulse Band triggers are withdrawn
+   * @param {number} time - Web Audio time withdrawn from
+   * @param {Object} detail - { time, pulseIndex }
+   */
+  onPulseBandCancelled(time, detail) {
+    // Override in subclass alongside onPulseBand32n()
+  }
+
   /**
    * Start listening on both Wave and Pulse bands
    */
@@ -649,6 +972,36 @@ class DualBandListener extends TimelineListener {
     this.pulseBand.stopListening();
   }
 
+  /**
+   * Move both Wave and Pulse bands to another timeline
+   * @param {JMTimeline|EventTarget|null} timeline - New event source (null: document)
+   */
+  setTimeline(timeline) {
+    super.setTimeline(timeline);
+    this.waveBand.setTimeline(timeline);
+    this.pulseBand.setTimeline(timeline);
+  }
+
+  /**
+   * Attach both Wave and Pulse bands to a timeline's registry
+   * @param {JMTimeline} timeline - Event source
+   * @param {Object} options - { priority, bands }
+   */
+  attach(timeline, options) {
+    super.attach(timeline, options);
+    this.waveBand.attach(timeline, options);
+    this.pulseBand.attach(timeline, options);
+  }
+
+  /**
+   * Detach both Wave and Pulse bands
+   */
+  detach() {
+    super.detach();
+    this.waveBand.detach();
+    this.pulseBand.detach();
+  }
+
   /**
    * Forward timeline start to both bands
    * @param {Object} detail - Timeline start details
@@ -679,6 +1032,16 @@ class DualBandListener extends TimelineListener {
     this.pulseBand.onTimelinePause(detail);
   }
 
+  /**
+   * Forward timeline resume to both bands
+   * @param {Object} detail - Timeline resume details
+   */
+  onTimelineResume(detail) {
+    super.onTimelineResume(detail);
+    this.waveBand.onTimelineResume(detail);
+    this.pulseBand.onTimelineResume(detail);
+  }
+
   /**
    * Clean up both Wave and Pulse bands
    */
@@ -689,6 +1052,114 @@ class DualBandListener extends TimelineListener {
   }
 }
 
+/**
+ * LaneListener - Automation Lane Events
+ * 
+ * PURPOSE:
+ * For synth parameters the journey automates alongside Hz: carrier frequency,
+ * master volume, binaural/ISO crossfade, ISO duty cycle and noise level.
+ * Subscribes only to the lanes it is given.
+ * 
+ * EVENTS RECEIVED:
+ * • timeline.wave.scheduled - Lane events at lookahead: timeline.lane.<lane>, the lane value at
+ *     a segment start plus the ramp that follows
+ *     { lane, value, toValue, duration, curve, time, segmentIndex } (duration 0 = hold)
+ * • timeline.wave.cancelled - Scheduled lane changes from a time on withdrawn
+ * 
+ * USAGE EXAMPLE:
+ * ```javascript
+ * class NoiseBed extends LaneListener {
+ *   constructor(audioContext, timeline) {
+ *     super(audioContext, { timeline, lanes: ['noise'] });
+ *   }
+ *   
+ *   onLaneChanged(lane, value, time, { toValue, duration }) {
+ *     this.gain.gain.setValueAtTime(value, time);
+ *     if (duration > 0) this.gain.gain.linearRampToValueAtTime(toValue, time + duration);
+ *   }
+ * }
+ * ```
+ * For the exact transition curve at audio rate, connect timeline.getLaneNode(lane)
+ * to the AudioParam instead.
+ * 
+ * OPTIONS:
+ * • lanes (default: all lanes) - Lane names to subscribe to, e.g. ['carrier', 'noise']
+ */
+class LaneListener extends TimelineListener {
+  constructor(audioContext, options = {}) {
+    super(audioContext, options);
+    
+    this.lanes = options.lanes || Object.keys(LANE_DEFAULTS);
+    this.laneValues = {};
+    
+    this._setupLaneListeners();
+  }
+
+  /**
+   * Setup one handler per subscribed lane
+   * @private
+   */
+  _setupLaneListeners() {
+    const laneTypes = new Set(this.lanes.map(lane => `timeline.lane.${lane}`));
+    
+    // Lane events of each scheduled segment entry, ahead of their audio
+    this._addEventHandler('timeline.wave.scheduled', (event) => {
+      if (!this.isListeningTo(TimelineBand.WAVE)) return;
+      
+      for (const { type, detail } of event.detail.events) {
+        if (!laneTypes.has(type)) continue;
+        
+        const { lane, value, time } = detail;
+        this.laneValues[lane] = value;
+        this.onLaneChanged(lane, value, time, detail);
+      }
+    });
+
+    this._addEventHandler('timeline.wave.cancelled', (event) => {
+      if (!this.isListeningTo(TimelineBand.WAVE)) return;
+      
+      this.onWaveEventsCancelled(event.detail.time, event.detail);
+    });
+  }
+
+  /**
+   * OVERRIDE POINTS - Implement these in your synth subclass
+   */
+  
+  /**
+   * Called when a subscribed lane change is scheduled, ahead of its time (sample-accurate, use for audio automation)
+   * @param {string} lane - Lane name ('carrier', 'volume', 'crossfade', 'isoDuty', 'noise')
+   * @param {number} value - Lane value at time
+   * @param {number} time - Web Audio scheduled time for the change
+   * @param {Object} detail - { toValue, duration, curve, segmentIndex } - ramp that follows
+   */
+  onLaneChanged(lane, value, time, detail) {
+    // Override in subclass for lane automation
+  }
+
+  /**
+   * Called when scheduled lane changes are withdrawn - hold what was scheduled from `time` on
+   * @param {number} time - Web Audio time events are withdrawn from (at or after it)
+   * @param {Object} detail - { time }
+   */
+  onWaveEventsCancelled(time, detail) {
+    // Override in subclass alongside onLaneChanged()
+  }
+
+  /**
+   * HELPER METHODS - Utility functions for synth implementations
+   */
+  
+  /**
+   * Get last scheduled value for a lane
+   * @param {string} lane - Lane name
+   * @returns {number|undefined} Value, undefined before the first event
+   */
+  getLaneValue(lane) {
+    return this.laneValues[lane];
+  }
+}
+
 /**
  * EXPORTS
  * 
@@ -697,17 +1168,20 @@ class DualBandListener extends TimelineListener {
  * • WaveBandListener - Continuous Hz automation
  * • PulseBandListener - Discrete rhythmic triggers
  * • DualBandListener - Both Wave and Pulse events
+ * • LaneListener - Automation lane events
  */
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     TimelineListener,
     WaveBandListener,
     PulseBandListener,
-    DualBandListener
+    DualBandListener,
+    LaneListener
   };
 } else if (typeof window !== 'undefined') {
   window.TimelineListener = TimelineListener;
   window.WaveBandListener = WaveBandListener;
   window.PulseBandListener = PulseBandListener;
   window.DualBandListener = DualBandListener;
+  window.LaneListener = LaneListener;
 }
\ No newline at end of file
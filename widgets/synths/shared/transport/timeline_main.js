@@ -194,13 +194,19 @@ class Timeline {
     let lowerBound = this._search(startTime);
     let upperBound = this._search(endTime);
     
+    // _search returns the last of several events sharing a time - include/exclude them all
+    while (upperBound >= 0 && this._timeline[upperBound].time === endTime) {
+      upperBound -= 1;
+    }
+    
     if (lowerBound !== -1 && upperBound !== -1) {
       // Adjust bounds for inclusive start, exclusive end
       if (this._timeline[lowerBound].time !== startTime) {
         lowerBound += 1;
-      }
-      if (this._timeline[upperBound].time === endTime) {
-        upperBound -= 1;
+      } else {
+        while (lowerBound > 0 && this._timeline[lowerBound - 1].time === startTime) {
+          lowerBound -= 1;
+        }
       }
       this._iterate(callback, lowerBound, upperBound);
     } else if (lowerBound === -1) {
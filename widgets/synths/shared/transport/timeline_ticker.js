@@ -0,0 +1,177 @@
+/**
+ * TimelineTicker Class
+ * Scheduling clock that keeps ticking while the tab is in the background
+ *
+ * CORE FUNCTIONALITY:
+ * • 'worker': setTimeout loop inside a dedicated Worker built from a Blob URL -
+ *   worker timers are not throttled like page timers in hidden tabs
+ * • 'timeout': page setTimeout loop - automatic fallback where Workers or Blob URLs
+ *   are unavailable (CSP, Node, tests) or the worker fails to start
+ * • start()/stop() are cheap - the worker is created once and kept until dispose()
+ *
+ * TONE.JS SOURCE: Based on Tone.js/core/clock/Ticker.ts (same worker trick)
+ *
+ * USAGE: JMTimeline runs its lookahead scheduler from one of these; the tick
+ * spacing it measures drives the adaptive lookahead
+ */
+
+/**
+ * Tick sources
+ */
+const TickerType = {
+  WORKER: 'worker',
+  TIMEOUT: 'timeout'
+};
+
+/**
+ * Worker body - ticks every `interval` ms between 'start' and 'stop' commands
+ */
+const TICKER_WORKER_SOURCE = `
+  let timeoutId = null;
+  let interval = 32;
+  function tick() {
+    timeoutId = setTimeout(tick, interval);
+    self.postMessage('tick');
+  }
+  self.onmessage = (event) => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    if (event.data.command === 'start') {
+      interval = event.data.interval;
+      timeoutId = setTimeout(tick, interval);
+    }
+  };
+`;
+
+class TimelineTicker {
+  /**
+   * @param {Function} callback - Called on every tick
+   * @param {number} interval - Milliseconds between ticks
+   * @param {string} type - TickerType value (default: worker, falls back to timeout)
+   */
+  constructor(callback, interval, type = TickerType.WORKER) {
+    this._callback = callback;
+    this.interval = interval;
+    this.type = type;
+    this.isRunning = false;
+
+    this._worker = null;
+    this._workerUrl = null;
+    this._timeoutId = null;
+  }
+
+  /**
+   * Start ticking (first tick after one interval)
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    if (this.type === TickerType.WORKER && this._startWorker()) return;
+    this._startTimeout();
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    if (this._worker) this._worker.postMessage({ command: 'stop' });
+    if (this._timeoutId !== null) {
+      clearTimeout(this._timeoutId);
+      this._timeoutId = null;
+    }
+  }
+
+  /**
+   * Start the worker clock, creating the worker on first use
+   * @returns {boolean} false if workers are unavailable (switches to timeout)
+   * @private
+   */
+  _startWorker() {
+    if (!this._worker) {
+      if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') {
+        this._fallBackToTimeout('Worker not supported');
+        return false;
+      }
+      try {
+        const blob = new Blob([TICKER_WORKER_SOURCE], { type: 'text/javascript' });
+        this._workerUrl = URL.createObjectURL(blob);
+        this._worker = new Worker(this._workerUrl);
+      } catch (error) {
+        this._fallBackToTimeout(error.message);
+        return false;
+      }
+
+      this._worker.onmessage = () => {
+        if (this.isRunning) this._callback();
+      };
+      this._worker.onerror = (error) => {
+        this._fallBackToTimeout(error.message);
+        if (this.isRunning) this._startTimeout();
+      };
+    }
+
+    this._worker.postMessage({ command: 'start', interval: this.interval });
+    return true;
+  }
+
+  /**
+   * Tick from page setTimeout
+   * @private
+   */
+  _startTimeout() {
+    const tick = () => {
+      if (!this.isRunning) return;
+      this._timeoutId = setTimeout(tick, this.interval);
+      this._callback();
+    };
+    this._timeoutId = setTimeout(tick, this.interval);
+  }
+
+  /**
+   * Drop the worker and tick from page timers from now on
+   * @param {string} reason - Why the worker clock is unavailable
+   * @private
+   */
+  _fallBackToTimeout(reason) {
+    if (this.type === TickerType.WORKER) {
+      console.warn(`[TimelineTicker] Worker clock unavailable (${reason}) - using setTimeout (throttled in background tabs)`);
+    }
+    this.type = TickerType.TIMEOUT;
+    this._terminateWorker();
+  }
+
+  /**
+   * Terminate the worker and release its Blob URL
+   * @private
+   */
+  _terminateWorker() {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+    if (this._workerUrl) {
+      URL.revokeObjectURL(this._workerUrl);
+      this._workerUrl = null;
+    }
+  }
+
+  /**
+   * Stop and release the worker
+   */
+  dispose() {
+    this.stop();
+    this._terminateWorker();
+  }
+}
+
+// Export for JMTimeline
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimelineTicker, TickerType };
+} else if (typeof window !== 'undefined') {
+  window.TimelineTicker = TimelineTicker;
+  window.TickerType = TickerType;
+}
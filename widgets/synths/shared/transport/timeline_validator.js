@@ -0,0 +1,294 @@
+/**
+ * Journey Validator
+ * Structured checks for journey segments before they reach the timeline
+ *
+ * CORE FUNCTIONALITY:
+ * • Returns typed diagnostics { severity, code, segmentIndex, field, message }
+ * • Errors: journeys that would play silence or NaN automation (rejected)
+ * • Warnings: journeys that play, but probably not as intended (e.g. Hz jumps)
+ * • No DOM or timeline dependency - loads as a plain script or a module import
+ *
+ * SEGMENT FORMATS (both accepted):
+ * • Timeline: { type, hz | startHz/endHz, durationSeconds }
+ * • Journeymap preset: { type, hz, duration_min } - transitions take their Hz
+ *   from the neighbouring plateaus
+ * • Either may carry automation lanes: { lanes: { carrier, volume, crossfade, isoDuty, noise } }
+ * • Band targets instead of Hz (checked against the band table in timeline_bands.js):
+ *   plateau { band, bandLevel }, transition { fromBand, fromBandLevel, toBand, toBandLevel } -
+ *   a transition with toBand and no start starts where the previous segment ends
+ *
+ * USAGE:
+ * ```javascript
+ * const result = validateJourney(segments);
+ * if (!result.valid) console.error(formatValidationErrors(result));
+ * result.warnings.forEach(w => console.warn(w.message));
+ * ```
+ */
+
+/**
+ * Diagnostic severities
+ */
+const ValidationSeverity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * Diagnostic codes
+ */
+const ValidationCode = {
+  NOT_AN_ARRAY: 'not_an_array',
+  EMPTY_JOURNEY: 'empty_journey',
+  INVALID_SEGMENT: 'invalid_segment',
+  UNKNOWN_TYPE: 'unknown_type',
+  INVALID_DURATION: 'invalid_duration',
+  INVALID_HZ: 'invalid_hz',
+  HZ_OUT_OF_RANGE: 'hz_out_of_range',
+  MISSING_TRANSITION_HZ: 'missing_transition_hz',
+  UNKNOWN_BAND: 'unknown_band',
+  INVALID_BAND_LEVEL: 'invalid_band_level',
+  INVALID_STEPS: 'invalid_steps',
+  UNKNOWN_LANE: 'unknown_lane',
+  INVALID_LANE_VALUE: 'invalid_lane_value',
+  LANE_OUT_OF_RANGE: 'lane_out_of_range',
+  HZ_DISCONTINUITY: 'hz_discontinuity'
+};
+
+/**
+ * Default options (hzMin/hzMax: the built-in band table - the configured one when
+ * timeline_bands.js is loaded, see getDefaultHzRange)
+ */
+const VALIDATION_DEFAULTS = {
+  hzMin: 0.5,
+  hzMax: 40.0,
+  allowEmpty: false,          // An empty journey is an error unless allowed
+  requireTransitionHz: false, // true: transitions must carry startHz/endHz (timeline format)
+  tolerance: 1e-6,            // Hz difference treated as continuous
+  laneRanges: {               // Valid [min, max] per automation lane
+    carrier: [20, 2000],      // Carrier frequency (Hz)
+    volume: [0, 1],           // Master volume
+    crossfade: [0, 1],        // 0 = binaural only, 1 = ISO only
+    isoDuty: [0.01, 1],       // Fraction of each pulse interval the ISO tone sounds
+    noise: [0, 1]             // Noise level
+  }
+};
+
+/**
+ * Segment duration in seconds and the field it came from
+ */
+function getSegmentDuration(segment) {
+  if (segment.durationSeconds !== undefined) return { seconds: segment.durationSeconds, field: 'durationSeconds' };
+  if (segment.duration_seconds !== undefined) return { seconds: segment.duration_seconds, field: 'duration_seconds' };
+  if (segment.duration_min !== undefined) return { seconds: segment.duration_min * 60, field: 'duration_min' };
+  return { seconds: undefined, field: 'durationSeconds' };
+}
+
+/**
+ * hzMin/hzMax from the band table (configureBrainwaveBands) if it is loaded
+ */
+function getDefaultHzRange() {
+  if (typeof getBandHzRange !== 'function') return {};
+  const { minHz, maxHz } = getBandHzRange();
+  return { hzMin: minHz, hzMax: maxHz };
+}
+
+/**
+ * Validate journey segments
+ * @param {Array} segments - Journey segments (timeline or journeymap format)
+ * @param {Object} options - Overrides for VALIDATION_DEFAULTS
+ * @returns {Object} { valid, errors, warnings } - errors/warnings are diagnostics
+ */
+function validateJourney(segments, options = {}) {
+  const settings = { ...VALIDATION_DEFAULTS, ...getDefaultHzRange(), ...options };
+  const errors = [];
+  const warnings = [];
+
+  const report = (severity, code, segmentIndex, field, message) => {
+    const prefix = segmentIndex === null ? 'Journey' : `Segment ${segmentIndex}`;
+    const diagnostic = { severity, code, segmentIndex, field, message: `${prefix}: ${message}` };
+    (severity === ValidationSeverity.ERROR ? errors : warnings).push(diagnostic);
+  };
+  const error = (...args) => report(ValidationSeverity.ERROR, ...args);
+  const warning = (...args) => report(ValidationSeverity.WARNING, ...args);
+
+  if (!Array.isArray(segments)) {
+    error(ValidationCode.NOT_AN_ARRAY, null, null, `segments must be an array, got ${typeof segments}`);
+    return { valid: false, errors, warnings };
+  }
+  if (segments.length === 0 && !settings.allowEmpty) {
+    error(ValidationCode.EMPTY_JOURNEY, null, null, 'no segments');
+  }
+
+  const checkHz = (index, field, hz) => {
+    if (typeof hz !== 'number' || !Number.isFinite(hz)) {
+      error(ValidationCode.INVALID_HZ, index, field, `${field} must be a number, got ${hz}`);
+      return false;
+    }
+    if (hz < settings.hzMin || hz > settings.hzMax) {
+      error(ValidationCode.HZ_OUT_OF_RANGE, index, field,
+        `${field} ${hz}Hz outside valid range (${settings.hzMin}-${settings.hzMax}Hz)`);
+      return false;
+    }
+    return true;
+  };
+
+  // Hz of a band target, or null (reported) if the band or level is unknown
+  const checkBand = (index, field, name, levelField, level) => {
+    if (typeof resolveBandHz !== 'function') {
+      error(ValidationCode.UNKNOWN_BAND, index, field, `${field} "${name}" needs the band table (timeline_bands.js)`);
+      return null;
+    }
+    if (!findBrainwaveBand(name)) {
+      const names = getBrainwaveBands().map(band => band.name).join(', ');
+      error(ValidationCode.UNKNOWN_BAND, index, field, `unknown ${field} "${name}" (expected ${names})`);
+      return null;
+    }
+    if (level !== undefined && !Object.values(BandLevel).includes(level)) {
+      error(ValidationCode.INVALID_BAND_LEVEL, index, levelField,
+        `${levelField} must be ${Object.values(BandLevel).join(', ')}, got ${level}`);
+      return null;
+    }
+    return resolveBandHz(name, level);
+  };
+
+  // Hz of one end of a segment: a literal Hz field, else a band target (undefined if neither is set)
+  const checkTarget = (index, segment, hzField, bandField) => {
+    if (segment[hzField] === undefined && segment[bandField] !== undefined) {
+      return checkBand(index, bandField, segment[bandField], `${bandField}Level`, segment[`${bandField}Level`]);
+    }
+    if (segment[hzField] === undefined) return undefined;
+    return checkHz(index, hzField, segment[hzField]) ? segment[hzField] : null;
+  };
+
+  const checkLanes = (index, lanes) => {
+    if (!lanes || typeof lanes !== 'object' || Array.isArray(lanes)) {
+      error(ValidationCode.INVALID_LANE_VALUE, index, 'lanes', `lanes must be an object, got ${lanes}`);
+      return;
+    }
+    for (const [lane, value] of Object.entries(lanes)) {
+      const range = settings.laneRanges[lane];
+      const field = `lanes.${lane}`;
+      if (!range) {
+        error(ValidationCode.UNKNOWN_LANE, index, field,
+          `unknown automation lane "${lane}" (expected ${Object.keys(settings.laneRanges).join(', ')})`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        error(ValidationCode.INVALID_LANE_VALUE, index, field, `${field} must be a number, got ${value}`);
+      } else if (value < range[0] || value > range[1]) {
+        error(ValidationCode.LANE_OUT_OF_RANGE, index, field,
+          `${field} ${value} outside valid range (${range[0]}-${range[1]})`);
+      }
+    }
+  };
+
+  // Hz at each end of every segment (null = unknown), for the continuity pass
+  const endpoints = [];
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    endpoints.push(null);
+
+    if (!segment || typeof segment !== 'object') {
+      error(ValidationCode.INVALID_SEGMENT, i, null, `expected a segment object, got ${segment}`);
+      continue;
+    }
+
+    const { seconds, field } = getSegmentDuration(segment);
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds <= 0) {
+      const value = field === 'duration_min' ? segment.duration_min : seconds;
+      error(ValidationCode.INVALID_DURATION, i, field, `${field} must be a positive number, got ${value}`);
+    }
+
+    if (segment.type === 'plateau') {
+      const hz = segment.band !== undefined && segment.hz === undefined
+        ? checkBand(i, 'band', segment.band, 'bandLevel', segment.bandLevel)
+        : (checkHz(i, 'hz', segment.hz) ? segment.hz : null);
+      if (hz !== null) {
+        endpoints[i] = { startHz: hz, endHz: hz, explicit: true };
+      }
+
+    } else if (segment.type === 'transition') {
+      const targeted = ['startHz', 'endHz', 'fromBand', 'toBand'].some(field => segment[field] !== undefined);
+      if (targeted || settings.requireTransitionHz) {
+        let startHz = checkTarget(i, segment, 'startHz', 'fromBand');
+        let endHz = checkTarget(i, segment, 'endHz', 'toBand');
+
+        // "To THETA over 5 minutes" - starts wherever the previous segment ends
+        if (startHz === undefined && segment.toBand !== undefined) {
+          if (i === 0) {
+            error(ValidationCode.MISSING_TRANSITION_HZ, i, 'startHz',
+              'transition to a band needs startHz/fromBand or a segment before it');
+            startHz = null;
+          } else {
+            startHz = endpoints[i - 1] ? endpoints[i - 1].endHz : null;
+          }
+        }
+        // Missing ends are reported as missing Hz fields
+        if (startHz === undefined) {
+          checkHz(i, 'startHz', startHz);
+          startHz = null;
+        }
+        if (endHz === undefined) {
+          checkHz(i, 'endHz', endHz);
+          endHz = null;
+        }
+
+        if (startHz !== null && endHz !== null) {
+          endpoints[i] = { startHz, endHz, explicit: true };
+        }
+      } else {
+        // Journeymap format: sweep between the neighbouring plateaus
+        const previous = segments[i - 1];
+        const next = segments[i + 1];
+        if (previous?.type !== 'plateau' || next?.type !== 'plateau') {
+          error(ValidationCode.MISSING_TRANSITION_HZ, i, null,
+            'transition needs startHz/endHz or a plateau on each side');
+        }
+      }
+
+      if (segment.steps !== undefined && !(Number.isInteger(segment.steps) && segment.steps > 0)) {
+        error(ValidationCode.INVALID_STEPS, i, 'steps', `steps must be a positive integer, got ${segment.steps}`);
+      }
+
+    } else {
+      error(ValidationCode.UNKNOWN_TYPE, i, 'type',
+        `unknown segment type "${segment.type}" (expected "plateau" or "transition")`);
+    }
+
+    if (segment.lanes !== undefined) checkLanes(i, segment.lanes);
+  }
+
+  // Continuity: each segment should start where the previous one ended
+  for (let i = 1; i < endpoints.length; i++) {
+    const previous = endpoints[i - 1];
+    const current = endpoints[i];
+    if (!previous || !current) continue;
+
+    if (Math.abs(current.startHz - previous.endHz) > settings.tolerance) {
+      const field = segments[i].type === 'transition' ? 'startHz' : 'hz';
+      warning(ValidationCode.HZ_DISCONTINUITY, i, field,
+        `${segments[i].type} starts at ${current.startHz}Hz but segment ${i - 1} ends at ${previous.endHz}Hz (Hz jump)`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Join error messages into one readable block
+ * @param {Object} result - validateJourney result
+ * @returns {string} One line per error
+ */
+function formatValidationErrors(result) {
+  return result.errors.map(diagnostic => diagnostic.message).join('\n');
+}
+
+// Export for timeline classes and journeymap modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ValidationSeverity, ValidationCode, validateJourney, formatValidationErrors, getSegmentDuration };
+} else if (typeof window !== 'undefined') {
+  window.ValidationSeverity = ValidationSeverity;
+  window.ValidationCode = ValidationCode;
+  window.validateJourney = validateJourney;
+  window.formatValidationErrors = formatValidationErrors;
+  window.getSegmentDuration = getSegmentDuration;
+}
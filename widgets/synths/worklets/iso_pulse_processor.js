@@ -2,7 +2,10 @@
  * ISO Pulse Processor - AudioWorklet
  * 
  * Sample-by-sample isochronic pulse generator with ADSR envelopes.
- * Receives pre-calculated pulse schedule from main thread.
+ * Receives the pre-calculated pulse schedule from the main thread in chunks
+ * (JMTimeline.compileWorkletChunk), asking for the next one when it runs low -
+ * or, streamed live, each lookahead window the timeline's ticker schedules
+ * (ISOWorkletSynth), positioned on the AudioContext clock.
  * 
  * ARCHITECTURE:
  * - Voice pool for concurrent overlapping pulses
@@ -10,6 +13,15 @@
  * - Sample-accurate pulse triggering (integer comparison)
  * - Zero node creation, zero GC pressure
  * 
+ * MESSAGES:
+ * - In:  { type: 'schedule' | 'pulses', firstPulseId, count, samplePosition, durationSamples,
+ *          channel, carrierFrequency, accent, nextPulse, done } - typed arrays, transferred.
+ *          'schedule' starts a new stream at sample 0; 'pulses' appends the next chunk
+ * - In:  { type: 'window', ...same arrays } - live stream: samplePosition is an AudioContext
+ *          frame (currentFrame), appended in order; never asks for more
+ * - In:  { type: 'cancel', fromSample } - drop queued pulses at or after fromSample
+ * - Out: { type: 'needPulses', fromPulse } - queued pulses end less than lowWaterSeconds ahead
+ * 
  * REFERENCE:
  * - Based on g200kg/audioworklet-adsrnode (ADSR math)
  * - Based on biocommando/simple-synth (voice management)
@@ -119,6 +131,7 @@ class Voice {
     this.frequency = 110;
     this.phase = 0;
     this.channel = 'left'; // 'left' or 'right'
+    this.accent = 1;       // Pulse level from the timeline's accent pattern
     this.pulseId = -1;
     
     // Timing
@@ -130,14 +143,15 @@ class Voice {
   }
   
   /**
-   * Trigger voice with pulse parameters
+   * Trigger voice with pulse i of a schedule chunk
    */
-  trigger(pulse, currentSample) {
-    this.frequency = pulse.carrierFrequency;
-    this.channel = pulse.channel;
-    this.pulseId = pulse.pulseId;
+  trigger(chunk, i, currentSample) {
+    this.frequency = chunk.carrierFrequency[i];
+    this.channel = chunk.channel[i] === 0 ? 'left' : 'right';
+    this.accent = chunk.accent[i];
+    this.pulseId = chunk.firstPulseId + i;
     this.startSample = currentSample;
-    this.endSample = currentSample + pulse.durationSamples;
+    this.endSample = currentSample + chunk.durationSamples[i];
     this.phase = 0;
     this.active = true;
     this.envelope.trigger();
@@ -175,9 +189,9 @@ class Voice {
       this.phase -= 2 * Math.PI;
     }
     
-    // Apply envelope
+    // Apply envelope and accent
     const envelopeValue = this.envelope.process();
-    return sample * envelopeValue;
+    return sample * envelopeValue * this.accent;
   }
   
   /**
@@ -192,7 +206,7 @@ class Voice {
  * ISO Pulse Processor - Main AudioWorklet
  */
 class ISOPulseProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
     
     // Voice pool (8 concurrent voices should be plenty)
@@ -201,26 +215,59 @@ class ISOPulseProcessor extends AudioWorkletProcessor {
       this.voices.push(new Voice(sampleRate));
     }
     
-    // Pulse schedule (received from main thread)
-    this.pulseSchedule = [];
-    this.nextPulseIndex = 0;
+    // Pulse schedule chunks (received from main thread)
+    this.chunks = [];               // Queued chunks - chunks[0] is playing
+    this.nextPulseIndex = 0;        // Next pulse within chunks[0]
+    this.streamStarted = false;     // First 'schedule' chunk received
+    this.streamDone = false;        // Last chunk received
+    this.live = false;              // Live stream: pulses on the context clock (currentFrame)
+    this.requestPending = false;    // needPulses sent, chunk not yet received
+    this.nextPulse = 0;             // First pulse number of the chunk to request
+    this.pulsesTriggered = 0;
+    this.lowWaterSamples = (options?.processorOptions?.lowWaterSeconds ?? 5) * sampleRate;
     
     // Sample counter
     this.currentSample = 0;
     
     // Message handler
     this.port.onmessage = (event) => {
-      if (event.data.type === 'schedule') {
-        this.pulseSchedule = event.data.pulses;
+      const { type } = event.data;
+      if (type === 'window') {
+        this._appendWindow(event.data);
+        return;
+      }
+      if (type === 'cancel') {
+        this._cancelFrom(event.data.fromSample);
+        return;
+      }
+      if (type !== 'schedule' && type !== 'pulses') return;
+      
+      // Ignore a chunk answering a request from before the last 'schedule'
+      if (type === 'pulses' && event.data.firstPulseId !== this.nextPulse) return;
+      
+      // A new schedule restarts the stream at sample 0
+      if (type === 'schedule') {
+        this.chunks = [];
         this.nextPulseIndex = 0;
+        this.pulsesTriggered = 0;
         this.currentSample = 0;
-        
-        // Send confirmation back to main thread
-        this.port.postMessage({
-          type: 'scheduleReceived',
-          pulseCount: this.pulseSchedule.length
-        });
+        this.streamStarted = true;
+        this.live = false;
       }
+      
+      const chunk = event.data;
+      if (chunk.count > 0) this.chunks.push(chunk);
+      this.nextPulse = chunk.nextPulse;
+      this.streamDone = chunk.done;
+      this.requestPending = false;
+      
+      // Send confirmation back to main thread
+      this.port.postMessage({
+        type: 'scheduleReceived',
+        pulseCount: chunk.count,
+        firstPulseId: chunk.firstPulseId,
+        done: chunk.done
+      });
     };
     
     // Send initialization message to main thread
@@ -239,6 +286,65 @@ class ISOPulseProcessor extends AudioWorkletProcessor {
     return null; // All voices busy (shouldn't happen with 8 voices)
   }
   
+  /**
+   * Queue a live window - switches to the context clock (drops a chunked stream)
+   */
+  _appendWindow(chunk) {
+    if (!this.live) {
+      this.chunks = [];
+      this.nextPulseIndex = 0;
+      this.streamStarted = false;
+      this.streamDone = false;
+      this.live = true;
+    }
+    if (chunk.count > 0) this.chunks.push(chunk);
+  }
+  
+  /**
+   * Drop queued pulses at or after a sample position (sounding voices play out)
+   */
+  _cancelFrom(fromSample) {
+    for (let c = 0; c < this.chunks.length; c++) {
+      const chunk = this.chunks[c];
+      let keep = c === 0 ? this.nextPulseIndex : 0;
+      while (keep < chunk.count && chunk.samplePosition[keep] < fromSample) keep++;
+      
+      if (keep < chunk.count) {
+        chunk.count = keep;
+        this.chunks.length = c + 1;
+        break;
+      }
+    }
+    
+    // Drop chunks left with nothing to play
+    while (this.chunks.length > 0) {
+      const last = this.chunks[this.chunks.length - 1];
+      const first = this.chunks.length === 1 ? this.nextPulseIndex : 0;
+      if (last.count > first) break;
+      this.chunks.pop();
+    }
+    if (this.chunks.length === 0) this.nextPulseIndex = 0;
+  }
+  
+  /**
+   * Sample position of the last queued pulse (currentSample when nothing is queued)
+   */
+  _getQueuedUntilSample() {
+    const last = this.chunks[this.chunks.length - 1];
+    return last ? last.samplePosition[last.count - 1] : this.currentSample;
+  }
+  
+  /**
+   * Ask the main thread for the next chunk when queued pulses run low
+   */
+  _requestPulsesIfLow() {
+    if (!this.streamStarted || this.streamDone || this.requestPending) return;
+    if (this._getQueuedUntilSample() - this.currentSample >= this.lowWaterSamples) return;
+    
+    this.requestPending = true;
+    this.port.postMessage({ type: 'needPulses', fromPulse: this.nextPulse, currentSample: this.currentSample });
+  }
+  
   /**
    * Process audio block (128 samples)
    */
@@ -253,16 +359,20 @@ class ISOPulseProcessor extends AudioWorkletProcessor {
     
     const blockSize = outputL.length;
     
+    // Live stream: count samples on the context clock
+    if (this.live) this.currentSample = currentFrame;
+    
     // Debug: Log EVERY process call for first 3 calls
     if (this.currentSample < 3 * blockSize) {
+      const chunk = this.chunks[0];
       this.port.postMessage({
         type: 'processCall',
         currentSample: this.currentSample,
         blockSize: blockSize,
         nextPulseIndex: this.nextPulseIndex,
-        scheduleLength: this.pulseSchedule.length,
-        nextPulsePosition: this.pulseSchedule[this.nextPulseIndex]?.samplePosition,
-        hasSchedule: this.pulseSchedule.length > 0
+        queuedChunks: this.chunks.length,
+        nextPulsePosition: chunk?.samplePosition[this.nextPulseIndex],
+        hasSchedule: this.chunks.length > 0
       });
     }
     
@@ -270,24 +380,31 @@ class ISOPulseProcessor extends AudioWorkletProcessor {
     for (let i = 0; i < blockSize; i++) {
       // Check if any pulses should trigger at this sample
       while (
-        this.nextPulseIndex < this.pulseSchedule.length &&
-        this.currentSample >= this.pulseSchedule[this.nextPulseIndex].samplePosition
+        this.chunks.length > 0 &&
+        this.currentSample >= this.chunks[0].samplePosition[this.nextPulseIndex]
       ) {
-        const pulse = this.pulseSchedule[this.nextPulseIndex];
+        const chunk = this.chunks[0];
+        const pulseId = chunk.firstPulseId + this.nextPulseIndex;
         const voice = this._findFreeVoice();
         
         if (voice) {
-          voice.trigger(pulse, this.currentSample);
+          voice.trigger(chunk, this.nextPulseIndex, this.currentSample);
           
           // Notify main thread of first pulse (for debugging)
-          if (this.nextPulseIndex === 0) {
-            this.port.postMessage({ type: 'firstPulseTriggered', pulseId: pulse.pulseId });
+          if (this.pulsesTriggered === 0) {
+            this.port.postMessage({ type: 'firstPulseTriggered', pulseId });
           }
+          this.pulsesTriggered++;
         } else {
-          this.port.postMessage({ type: 'noFreeVoice', pulseId: pulse.pulseId });
+          this.port.postMessage({ type: 'noFreeVoice', pulseId });
         }
         
+        // Move on to the next chunk when this one is used up
         this.nextPulseIndex++;
+        if (this.nextPulseIndex >= chunk.count) {
+          this.chunks.shift();
+          this.nextPulseIndex = 0;
+        }
       }
       
       // Check for voice releases
@@ -319,11 +436,13 @@ class ISOPulseProcessor extends AudioWorkletProcessor {
       this.currentSample++;
     }
     
-    // Stop when all pulses processed and voices silent
+    this._requestPulsesIfLow();
+    
+    // Stop when the last chunk is played and voices silent
     const allVoicesSilent = this.voices.every(v => !v.isActive());
-    const allPulsesProcessed = this.nextPulseIndex >= this.pulseSchedule.length;
+    const allPulsesProcessed = this.streamDone && this.chunks.length === 0;
     
-    if (allVoicesSilent && allPulsesProcessed && this.pulseSchedule.length > 0) {
+    if (allVoicesSilent && allPulsesProcessed && this.pulsesTriggered > 0) {
       console.log('[ISOPulseProcessor] Playback complete');
       return false; // Stop processing
     }
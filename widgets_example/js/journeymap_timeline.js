@@ -21,6 +21,10 @@
 // - journeymap_widget.js (renderPreset function)
 // ============================================================================
 
+import "../../widgets/synths/shared/transport/timeline_bands.js"; // Brainwave band table (sets window.getWaveType)
+
+const { getBrainwaveBand, getBrainwaveBands } = window;
+
 // ==============================================
 // COLOR HELPER: Darken for Transition Gradients
 // ==============================================
@@ -44,18 +48,21 @@ export function darkenHex(hex, amt = 0.2) {
 // ==============================================
 // WAVE TYPE HELPER - Hz to Band Mapping
 // ==============================================
-// PURPOSE: Map Hz value to brain wave band (DELTA, THETA, ALPHA, SMR, BETA)
-// PATTERN: Range-based lookup (delta 0.5-4hz, theta 4-8hz, etc.)
+// PURPOSE: Map Hz value to brain wave band (DELTA, THETA, ALPHA, SMR, BETA, GAMMA)
+// PATTERN: Shared band table (timeline_bands.js) - same bands as timeline.wave_type.changed
 // Used for: CSS class assignment, color control, wave type labels
-export function getWaveType(hz) {
-  if (!hz && hz !== 0) return "Unknown";
-  const z = Number(hz);
-  if (z >= 0.5 && z <= 4) return "DELTA";
-  if (z > 4 && z <= 8) return "THETA";
-  if (z > 8 && z <= 12) return "ALPHA";
-  if (z > 12 && z <= 15) return "SMR";
-  if (z > 15 && z <= 25) return "BETA";
-  return "Unknown";
+export const { getWaveType } = window;
+
+// PURPOSE: CSS band class for Hz - the band's id ("unknown" outside the table)
+// Used for: .jm-box.plateau.{band} and .jm-box.transition.{from}-{to} classes
+export function getBandClass(hz) {
+  return getBrainwaveBand(hz)?.id || "unknown";
+}
+
+// PURPOSE: Every CSS band class of the active band table (delta, theta, ..., gamma)
+// Used for: Clearing the old band class before adding the new one
+export function getBandClasses() {
+  return getBrainwaveBands().map((band) => band.id).concat("unknown");
 }
 
 // ==============================================
@@ -94,7 +101,7 @@ export function updateTotalDisplay(journeySequence, totalBox) {
 // VISUAL FEEDBACK:
 // - Updates .freq element text content
 // - Updates .label element (wave type: DELTA, THETA, etc.)
-// - Switches CSS band class (delta, theta, alpha, smr, beta)
+// - Switches CSS band class (band ids from timeline_bands.js: delta, theta, alpha, smr, beta, gamma)
 // - CSS handles color changes via band classes
 //
 // CSS COMPLIANCE:
@@ -133,15 +140,14 @@ export function attachDragHz(elem, segment, box, label, segIndex, firstPlateauId
     // Update box data attribute so click-to-loop can read current Hz
     box.dataset.hz = newHz;
     
-    // Update wave type label (DELTA, THETA, ALPHA, SMR, BETA)
+    // Update wave type label (DELTA, THETA, ALPHA, SMR, BETA, GAMMA)
     const newWave = getWaveType(newHz);
     label.textContent = newWave;
     label.setAttribute('data-text', newWave);
     
     // Update CSS band class (triggers color change via CSS)
-    const newBand = (newWave || "").toLowerCase();
-    box.classList.remove("delta", "theta", "alpha", "smr", "beta");
-    if (newBand) box.classList.add(newBand);
+    box.classList.remove(...getBandClasses());
+    box.classList.add(getBandClass(newHz));
     
     // Handle edge gradients via CSS classes (first/last plateau)
     if (segIndex === firstPlateauIdx) {
@@ -57,11 +57,15 @@ import {
   importPresetObject,
   getPreset
 } from "../../src/preset_resources.js"; // Preset I/O infrastructure
+import "../../widgets/synths/shared/transport/timeline_validator.js"; // Journey validation (sets window.validateJourney)
+
+const { validateJourney, formatValidationErrors } = window;
 
 // Extracted timeline rendering module
 import {
   darkenHex,
   getWaveType,
+  getBandClass,
   updateTotalDisplay,
   attachDragHz,
   attachDragMinutes
@@ -303,6 +307,14 @@ export async function initJourneyMap() {
         throw new Error('renderPreset requires a filename or preset object');
       }
       
+      // Reject broken journeys before touching current preset state or the DOM
+      // (unknown types, bad durations, Hz out of range would render NaN boxes and play silence)
+      const validation = validateJourney(data.segments || (data.payload && data.payload.segments) || []);
+      validation.warnings.forEach((warning) => console.warn(`[JourneyMap] ${warning.message}`));
+      if (!validation.valid) {
+        throw new Error(`invalid journey\n${formatValidationErrors(validation)}`);
+      }
+      
       // Normalize currentPresetData structure (ensure payload.segments exists)
       // Supports both legacy format (top-level segments) and new format (payload.segments)
       currentPresetData = Object.assign({}, data);
@@ -331,7 +343,7 @@ export async function initJourneyMap() {
       // - updateTotalDisplay: Recalculate total journey time
       // - attachDragHz: Real-time frequency adjustment
       // - attachDragMinutes: Segment duration editing
-      // - getWaveType: Hz to brain wave band mapping
+      // - getWaveType / getBandClass: Hz to brain wave band name / CSS class (shared band table)
       // ==============================================
 
       // ==============================================
@@ -339,7 +351,7 @@ export async function initJourneyMap() {
       // ==============================================
       // PURPOSE: Iterate segments and create .jm-box elements for plateaus/transitions
       // PATTERN: For each segment → Create box div → Add labels → Attach handlers → Append to DOM
-      // CSS COMPLIANCE: All styling via classes (delta, theta, alpha, smr, beta, first-plateau, last-plateau)
+      // CSS COMPLIANCE: All styling via classes (band ids: delta ... gamma, first-plateau, last-plateau)
       // EXTRACTION CANDIDATE: Core of journeymap_timeline.js module
       segments.forEach((segment, idx) => {
         totalMinutes += segment.duration_min || 0;
@@ -384,10 +396,9 @@ export async function initJourneyMap() {
           attachDragHz(freq, segment, box, label, idx, firstPlateauIdx, lastPlateauIdx);
           attachDragMinutes(duration, segment, journeySequence, totalBox);
 
-          // CSS COMPLIANCE: Add band class (delta, theta, alpha, smr, beta)
-          // CSS variables (--delta-color, --theta-color, etc.) control colors
-          const band = waveType.toLowerCase();
-          if (band) box.classList.add(band);
+          // CSS COMPLIANCE: Add band class (band id from timeline_bands.js: delta ... gamma)
+          // CSS variables (--band-delta-primary, etc.) control colors
+          box.classList.add(getBandClass(segment.hz));
           
           // CSS COMPLIANCE: Add edge gradient classes (first/last plateau special styling)
           if (idx === firstPlateauIdx) {
@@ -427,12 +438,9 @@ export async function initJourneyMap() {
           // Derive wave types from adjacent plateaus
           const prevHz = segments[idx - 1]?.hz;
           const nextHz = segments[idx + 1]?.hz;
-          const prevWave = getWaveType(prevHz);
-          const nextWave = getWaveType(nextHz);
-          
           // CSS COMPLIANCE: Add transition class (e.g., "delta-theta" triggers CSS gradient)
-          const prevBand = (prevWave || "").toLowerCase();
-          const nextBand = (nextWave || "").toLowerCase();
+          const prevBand = getBandClass(prevHz);
+          const nextBand = getBandClass(nextHz);
           const transitionClass = `${prevBand}-${nextBand}`;
           next.classList.add(transitionClass);
           next.style.background = ""; // Clear inline styles, CSS takes control
@@ -1,6 +1,9 @@
 import { listPresets, importPresetObject, getPreset } from "../../src/preset_resources.js";
 import { setVoiceVolume, setBinauralBeat, setVoiceOctaveOffset, getVoiceOctaveOffsets, getCurrentBinauralBeat, getVoiceVolumes, getVoiceWidth } from "../synths/binaural_synth.js";
 import { getVoiceWidths as getIsoVoiceWidths } from "../synths/binaural_iso.js";
+import "../../widgets/synths/shared/transport/timeline_validator.js"; // Sets window.validateJourney
+
+const { validateJourney, formatValidationErrors } = window;
 
 const FADER_SILENCE_FLOOR_DB = -70; // Must match binaural_widget.js
 
@@ -243,6 +246,14 @@ export function convertJourneyToBinauralTimeline(journeyPayload) {
     return null;
   }
   
+  // Reject journeys that would schedule 0Hz/NaN automation (bad Hz, durations, types)
+  const validation = validateJourney(jp.segments);
+  validation.warnings.forEach(warning => console.warn(warning.message));
+  if (!validation.valid) {
+    console.error(`convertJourneyToBinauralTimeline rejected journey:\n${formatValidationErrors(validation)}`);
+    return null;
+  }
+  
   // Find the first segment with Hz data to set as synth default
   let firstHz = null;
   for (const seg of jp.segments) {
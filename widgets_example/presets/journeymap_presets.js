@@ -305,6 +305,12 @@ export async function scheduleJourneyTimeline(timeline, playbackFactor = 1) {
     let timelineToPlay = currentJourneyData ? 
       convertJourneyToBinauralTimeline(currentJourneyData) : timeline;
     
+    // Conversion returns null for a journey that failed validation (errors already logged)
+    if (!timelineToPlay) {
+      console.error('❌ Journey rejected - nothing scheduled');
+      return false;
+    }
+    
     if (loopingPlateau && timelineToPlay && timelineToPlay.segments && timelineToPlay.segments.length > 0) {
       // Edit mode: Loop the segment that's marked as looping
       // Get Hz and duration directly from the DOM box (more reliable than index matching)